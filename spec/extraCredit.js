@@ -46,6 +46,33 @@
         expect(sorted).to.eql(['one', 'two', 'four', 'five', 'three']);
       });
 
+      it('should return a new array without modifying the original one', function() {
+        var list = [3, 1, 2];
+        var sorted = _.sortBy(list, _.identity);
+
+        expect(sorted).to.eql([1, 2, 3]);
+        expect(sorted).to.not.equal(list);
+        expect(list).to.eql([3, 1, 2]);
+      });
+
+      it('should only compute the criterion once for each value', function() {
+        var iterator = sinon.spy(_.identity);
+        _.sortBy([5, 3, 4, 1, 2], iterator);
+
+        expect(iterator.callCount).to.equal(5);
+      });
+
+      it('should sort large arrays quickly', function() {
+        var numbers = [];
+        for (var i = 0; i < 50000; i++) {
+          numbers.push((i * 7919) % 50000);
+        }
+        var sorted = _.sortBy(numbers, _.identity);
+
+        expect(sorted[0]).to.equal(0);
+        expect(sorted[49999]).to.equal(49999);
+      });
+
       it('should produce results that change the order of the list as little as possible', function() {
         function Pair(x, y) {
           this.x = x;
@@ -72,6 +99,135 @@
       });
     });
 
+    describe('sortBy with several keys', function() {
+      var people = [
+        { first: 'moe', last: 'howard', age: 50 },
+        { first: 'larry', last: 'fine', age: 40 },
+        { first: 'curly', last: 'howard', age: 60 },
+        { first: 'shemp', last: 'howard', age: 60 }
+      ];
+
+      it('should break ties with the following keys', function() {
+        var sorted = _.sortBy(people, ['last', 'first']);
+
+        expect(_.pluck(sorted, 'first')).to.eql(['larry', 'curly', 'moe', 'shemp']);
+      });
+
+      it('should sort keys in the direction given for them', function() {
+        var sorted = _.sortBy(people, [['age', 'desc'], function(person) { return person.first; }]);
+
+        expect(_.pluck(sorted, 'first')).to.eql(['curly', 'shemp', 'moe', 'larry']);
+      });
+
+      it('should sort by a deep path in a key', function() {
+        var list = [{ a: { b: 2 } }, { a: { b: 1 } }];
+
+        expect(_.sortBy(list, [['a', 'b']])).to.eql([{ a: { b: 1 } }, { a: { b: 2 } }]);
+      });
+
+      it('should sort by a path ending in desc when it is given in a pair', function() {
+        var list = [{ sort: { desc: 2 } }, { sort: { desc: 1 } }];
+
+        expect(_.sortBy(list, [[['sort', 'desc'], 'asc']])).to.eql([list[1], list[0]]);
+      });
+    });
+
+    describe('sortBy with collation options', function() {
+      it('should sort runs of digits by their numeric value', function() {
+        var items = ['item10', 'item2', 'item1'];
+
+        expect(_.sortBy(items, _.identity)).to.eql(['item1', 'item10', 'item2']);
+        expect(_.sortBy(items, _.identity, { numeric: true })).to.eql(['item1', 'item2', 'item10']);
+        expect(_.sortBy(['b', 'B', 'a', 'A'], _.identity, { numeric: true })).to.eql(['A', 'B', 'a', 'b']);
+      });
+
+      it('should sort accented letters next to their base letters for a locale', function() {
+        var names = ['zoe', 'émile', 'eve'];
+
+        expect(_.sortBy(names, _.identity)).to.eql(['eve', 'zoe', 'émile']);
+        expect(_.sortBy(names, _.identity, { locale: 'fr' })).to.eql(['émile', 'eve', 'zoe']);
+      });
+
+      it('should ignore case when asked to, keeping the original order of ties', function() {
+        var names = ['bob', 'Alice', 'alice', 'Bob'];
+
+        expect(_.sortBy(names, _.identity, { caseInsensitive: true })).to.eql(['Alice', 'alice', 'bob', 'Bob']);
+        expect(_.sortBy(names, _.identity, { sensitivity: 'base' })).to.eql(['Alice', 'alice', 'bob', 'Bob']);
+      });
+
+      it('should be shared with sortedIndex, by and collator', function() {
+        var options = { numeric: true };
+        var files = _.sortBy([{ name: 'v10' }, { name: 'v1' }], 'name', options);
+
+        expect(_.sortedIndex(files, { name: 'v9' }, 'name', options)).to.equal(1);
+        expect(_.pluck(_.sortWith(files, _.by('name', 'desc', options)), 'name')).to.eql(['v10', 'v1']);
+        expect(_.collator(options)('v9', 'v10')).to.be.below(0);
+      });
+    });
+
+    describe('sortBy with mixed and empty criteria', function() {
+      it('should put criteria of different types in a fixed order', function() {
+        var list = ['b', 2, null, new Date(1), true, undefined, NaN, 'a', 0, false];
+        var sorted = _.sortBy(list, _.identity);
+
+        expect(sorted).to.eql([false, true, 0, new Date(1), 2, 'a', 'b', NaN, null, undefined]);
+        expect(_.sortBy(list.reverse(), _.identity)).to.eql(sorted);
+      });
+
+      it('should move undefined criteria to the end, not only undefined values', function() {
+        var list = [{ n: 2 }, {}, { n: null }, { n: 1 }];
+
+        expect(_.sortBy(list, 'n')).to.eql([{ n: 1 }, { n: 2 }, { n: null }, {}]);
+      });
+
+      it('should move empty criteria to the start when nulls is first', function() {
+        var list = [3, undefined, 1, null, NaN, 2];
+
+        expect(_.sortBy(list, _.identity, { nulls: 'first' })).to.eql([NaN, null, undefined, 1, 2, 3]);
+      });
+
+      it('should keep empty criteria in place when sorting in descending order', function() {
+        var list = [{ n: 1 }, { n: null }, { n: 3 }];
+
+        expect(_.sortBy(list, [['n', 'desc']])).to.eql([{ n: 3 }, { n: 1 }, { n: null }]);
+        expect(_.sortWith(list, _.by('n').reverse())).to.eql([{ n: 3 }, { n: 1 }, { n: null }]);
+      });
+
+      it('should use the same order in sortedIndex', function() {
+        var sorted = _.sortBy([null, 'b', 1], _.identity);
+
+        expect(sorted).to.eql([1, 'b', null]);
+        expect(_.sortedIndex(sorted, 'a')).to.equal(1);
+        expect(_.sortedIndex(sorted, undefined)).to.equal(3);
+      });
+    });
+
+    describe('by and sortWith', function() {
+      var people = [
+        { first: 'moe', last: 'howard' },
+        { first: 'larry', last: 'fine' },
+        { first: 'curly', last: 'howard' }
+      ];
+
+      it('should build comparators that can be chained with thenBy', function() {
+        var sorted = _.sortWith(people, _.by('last').thenBy('first'));
+
+        expect(_.pluck(sorted, 'first')).to.eql(['larry', 'curly', 'moe']);
+        expect(_.pluck(people, 'first')).to.eql(['moe', 'larry', 'curly']);
+      });
+
+      it('should build descending and reversed comparators', function() {
+        var byLastDescending = _.by('last', 'desc').thenBy('first');
+
+        expect(_.pluck(_.sortWith(people, byLastDescending), 'first')).to.eql(['curly', 'moe', 'larry']);
+        expect(_.pluck(_.sortWith(people, byLastDescending.reverse()), 'first')).to.eql(['larry', 'moe', 'curly']);
+      });
+
+      it('should work with the native sort', function() {
+        expect(_.pluck(people.slice().sort(_.by('first')), 'first')).to.eql(['curly', 'larry', 'moe']);
+      });
+    });
+
     describe('flatten', function() {
       it('can flatten nested arrays', function() {
         var nestedArray = [1, [2], [3, [[[4]]]]];
@@ -99,6 +255,29 @@
 
         expect(_.intersection(stooges, leaders)).to.eql(['moe']);
       });
+
+      it('should keep the order of the first array and drop duplicates', function() {
+        expect(_.intersection([3, 1, 2, 1, NaN], [1, 2, 3, NaN], [NaN, 2, 1])).to.eql([1, 2, NaN]);
+      });
+
+      it('should match items by an iterator or a comparator', function() {
+        var stooges = [{ id: 1, name: 'moe' }, { id: 2, name: 'curly' }];
+        var leaders = [{ id: 1, name: 'moe' }, { id: 3, name: 'groucho' }];
+
+        expect(_.intersectionBy(stooges, leaders, 'id')).to.eql([{ id: 1, name: 'moe' }]);
+        expect(_.intersectionBy([1.2, 2.5], [2.1], Math.floor)).to.eql([2.5]);
+        expect(_.intersectionWith(stooges, leaders, _.isEqual)).to.eql([{ id: 1, name: 'moe' }]);
+        expect(_.intersection(stooges, leaders)).to.eql([]);
+      });
+
+      it('should take a deep path array passed in last as the iterator', function() {
+        var list = [{ a: { b: 1 } }, { a: { b: 2 } }];
+
+        expect(_.intersectionBy(list, [{ a: { b: 1 } }], ['a', 'b'])).to.eql([list[0]]);
+        expect(_.differenceBy(list, [{ a: { b: 1 } }], ['a', 'b'])).to.eql([list[1]]);
+        expect(_.unionBy(list, [{ a: { b: 1 } }], ['a', 'b'])).to.eql(list);
+        expect(_.xorBy(list, [{ a: { b: 1 } }], ['a', 'b'])).to.eql([list[1]]);
+      });
     });
 
     describe('difference', function() {
@@ -113,6 +292,275 @@
 
         expect(result).to.eql([3, 4]);
       });
+
+      it('should match elements by an iterator or a comparator', function() {
+        var points = [{ x: 1, y: 2 }, { x: 2, y: 1 }];
+
+        expect(_.difference([NaN, 1], [NaN])).to.eql([1]);
+        expect(_.differenceBy([1.2, 2.5, 3.1], [2.1], [3.9], Math.floor)).to.eql([1.2]);
+        expect(_.differenceBy(points, [{ x: 1 }], 'x')).to.eql([{ x: 2, y: 1 }]);
+        expect(_.differenceWith(points, [{ x: 1, y: 2 }], _.isEqual)).to.eql([{ x: 2, y: 1 }]);
+      });
+    });
+
+    describe('iteratee', function() {
+      var people = [
+        { name: 'moe', active: true, address: { city: 'Boston' } },
+        { name: 'curly', active: false, address: { city: 'Austin' } },
+        { name: 'larry', active: true }
+      ];
+
+      it('should return functions as they are and identity for no value', function() {
+        var iterator = function() {};
+
+        expect(_.iteratee(iterator)).to.equal(iterator);
+        expect(_.iteratee()).to.equal(_.identity);
+      });
+
+      it('should accept a property name in the collection functions', function() {
+        expect(_.map(people, 'name')).to.eql(['moe', 'curly', 'larry']);
+        expect(_.pluck(_.filter(people, 'active'), 'name')).to.eql(['moe', 'larry']);
+        expect(_.some(people, 'address')).to.be.true;
+        expect(_.every(people, 'address')).to.be.false;
+      });
+
+      it('should accept a deep path array', function() {
+        expect(_.map(people, ['address', 'city'])).to.eql(['Boston', 'Austin', undefined]);
+      });
+
+      it('should accept a matcher object', function() {
+        expect(_.pluck(_.reject(people, { active: true }), 'name')).to.eql(['curly']);
+        expect(_.every(people, { active: true })).to.be.false;
+      });
+    });
+
+    describe('iterables', function() {
+      var scores = new Map([['moe', 3], ['curly', 8], ['larry', 5]]);
+
+      it('should map, filter and reduce the values of a Map', function() {
+        var add = function(tally, score) { return tally + score; };
+        var labels = _.map(scores, function(score, name) { return name + ':' + score; });
+
+        expect(labels).to.eql(['moe:3', 'curly:8', 'larry:5']);
+        expect(_.filter(scores, function(score) { return score > 4; })).to.eql([8, 5]);
+        expect(_.reduce(scores, add)).to.equal(16);
+      });
+
+      it('should support Sets and generators in every, some and uniq', function() {
+        var letters = function*() {
+          yield 'a';
+          yield 'b';
+          yield 'a';
+        };
+
+        expect(_.uniq(letters())).to.eql(['a', 'b']);
+        expect(_.every(new Set([2, 4]), function(num) { return num % 2 === 0; })).to.be.true;
+        expect(_.some(new Set([1, 3]), function(num) { return num % 2 === 0; })).to.be.false;
+      });
+    });
+
+    describe('noConflict', function() {
+      var underbar, original;
+
+      beforeEach(function() {
+        underbar = _.noConflict();
+        original = window._;
+      });
+
+      afterEach(function() {
+        underbar.noConflict();
+        window._ = original;
+        delete window.underbar;
+        underbar.install();
+      });
+
+      it('should restore the previous global value and return the library', function() {
+        var previous = {};
+        window._ = previous;
+        underbar.install();
+
+        expect(underbar.noConflict()).to.equal(underbar);
+        expect(window._).to.equal(previous);
+      });
+
+      it('should be able to install the library under a custom global name', function() {
+        underbar.install('underbar');
+
+        expect(window.underbar).to.equal(underbar);
+        expect(window._).to.not.equal(underbar);
+      });
+    });
+
+    describe('chain', function() {
+      var people = [
+        { name: 'moe', age: 30 },
+        { name: 'curly', age: 50 },
+        { name: 'larry', age: 40 },
+        { name: 'shemp', age: 15 }
+      ];
+
+      it('should chain collection functions on a wrapped value', function() {
+        var names = _(people)
+          .filter(function(person) { return person.age > 20; })
+          .sortBy('age')
+          .pluck('name')
+          .value();
+
+        expect(names).to.eql(['moe', 'larry', 'curly']);
+      });
+
+      it('should return the same chain from _.chain and .chain()', function() {
+        var doubled = _.chain([1, [2, [3]], 2]).chain()
+          .flatten()
+          .uniq()
+          .map(function(num) { return num * 2; })
+          .value();
+
+        expect(doubled).to.eql([2, 4, 6]);
+      });
+
+      it('should not modify the wrapped value', function() {
+        var numbers = [3, 1, 2];
+        _(numbers).reject(function(num) { return num === 1; }).value();
+
+        expect(numbers).to.eql([3, 1, 2]);
+      });
+    });
+
+    describe('lazy', function() {
+      var numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      var isEven = function(num) { return num % 2 === 0; };
+
+      it('should produce the same results as the eager functions', function() {
+        var result = _.lazy(numbers)
+          .reject(isEven)
+          .map(function(num) { return { value: num * 10 }; })
+          .pluck('value')
+          .value();
+
+        expect(result).to.eql([10, 30, 50, 70, 90]);
+      });
+
+      it('should only evaluate the elements needed by first', function() {
+        var iterator = sinon.spy(function(num) { return num * 2; });
+        var result = _.lazy(numbers).filter(isEven).map(iterator).first();
+
+        expect(result).to.equal(4);
+        expect(iterator).to.have.been.calledOnce;
+      });
+
+      it('should stop iterating once take has let enough elements through', function() {
+        var test = sinon.spy(isEven);
+        var result = _.lazy(numbers).filter(test).take(2).value();
+
+        expect(result).to.eql([2, 4]);
+        expect(test.callCount).to.equal(4);
+      });
+
+      it('should stop as soon as every, some or contains know the answer', function() {
+        var iterator = sinon.spy(function(num) { return num * 2; });
+        var sequence = _.lazy(numbers).map(iterator);
+
+        expect(sequence.some(function(num) { return num > 5; })).to.be.true;
+        expect(iterator.callCount).to.equal(3);
+        expect(sequence.every(function(num) { return num < 2; })).to.be.false;
+        expect(iterator.callCount).to.equal(4);
+        expect(sequence.contains(8)).to.be.true;
+        expect(iterator.callCount).to.equal(8);
+      });
+
+      it('should find NaN with contains, like _.contains', function() {
+        expect(_.lazy([1, NaN]).contains(NaN)).to.be.true;
+      });
+
+      it('should reduce the elements left in the sequence', function() {
+        var add = function(tally, item) { return tally + item; };
+
+        expect(_.lazy(numbers).first(3).reduce(add)).to.equal(6);
+        expect(_.lazy(numbers).filter(isEven).reduce(add, 0)).to.equal(30);
+      });
+
+      it('should pull only as many values from a generator as it needs', function() {
+        var naturals = function*() {
+          var num = 1;
+          while (true) {
+            yield num++;
+          }
+        };
+        var result = _.lazy(naturals()).filter(isEven).take(3).value();
+
+        expect(result).to.eql([2, 4, 6]);
+      });
+
+      it('should round a fractional take down, like first', function() {
+        expect(_.lazy(numbers).take(2.5).value()).to.eql(_.first(numbers, 2.5));
+        expect(_.lazy(numbers).take(0.5).value()).to.eql([]);
+      });
+
+      it('should be reachable from a chain', function() {
+        var result = _(numbers).lazy().filter(isEven).first(2).chain().map(function(num) {
+          return num + 1;
+        }).value();
+
+        expect(result).to.eql([3, 5]);
+      });
+    });
+
+    describe('mixin', function() {
+      afterEach(function() {
+        delete _.double;
+        delete _.prototype.double;
+      });
+
+      it('should add functions to the library and to wrapped objects', function() {
+        _.mixin({
+          double: function(array) {
+            return _.map(array, function(num) { return num * 2; });
+          }
+        });
+
+        expect(_.double([1, 2])).to.eql([2, 4]);
+        expect(_([1, 2]).double().first().value()).to.equal(2);
+      });
+    });
+
+    describe('union', function() {
+      it('should produce the unique items of all the arrays in order', function() {
+        expect(_.union([1, 2, NaN], [2, 3], [3, 4, NaN])).to.eql([1, 2, NaN, 3, 4]);
+      });
+
+      it('should match items by an iterator or a comparator', function() {
+        expect(_.unionBy([1.2, 2.5], [2.1, 3.4], Math.floor)).to.eql([1.2, 2.5, 3.4]);
+        expect(_.unionWith([{ a: 1 }], [{ a: 1 }, { a: 2 }], _.isEqual)).to.eql([{ a: 1 }, { a: 2 }]);
+      });
+    });
+
+    describe('xor', function() {
+      it('should produce the unique items found in exactly one of the arrays', function() {
+        expect(_.xor([2, 1, 1], [2, 3], [3, 5])).to.eql([1, 5]);
+      });
+
+      it('should match items by an iterator or a comparator', function() {
+        expect(_.xorBy([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }], 'id')).to.eql([{ id: 1 }, { id: 3 }]);
+        expect(_.xorWith([{ a: 1 }, { a: 2 }], [{ a: 1 }], _.isEqual)).to.eql([{ a: 2 }]);
+      });
+    });
+
+    describe('set operations on large arrays', function() {
+      var numbers = [];
+      for (var i = 0; i < 50000; i++) {
+        numbers.push(i);
+      }
+
+      it('should not scan the whole array for every element', function() {
+        var evens = _.filter(numbers, function(num) { return num % 2 === 0; });
+
+        expect(_.uniq(numbers.concat(numbers)).length).to.equal(50000);
+        expect(_.intersection(numbers, evens).length).to.equal(25000);
+        expect(_.difference(numbers, evens).length).to.equal(25000);
+        expect(_.union(evens, numbers).length).to.equal(50000);
+        expect(_.xor(evens, numbers).length).to.equal(25000);
+      });
     });
 
     describe('throttle, when given a wait of 100ms', function() {
@@ -97,6 +97,132 @@
           ['cat', 'c', animals]
         ]);
       });
+
+      it('should iterate over array-like collections by index', function() {
+        var iterationInputs = [];
+        var collect = function(value, index) {
+          iterationInputs.push([value, index]);
+        };
+
+        (function() {
+          _.each(arguments, collect);
+        }('a', 'b'));
+        _.each('cd', collect);
+        _.each(new Float64Array([0.5, 1.5]), collect);
+        _.each({ 0: 'e', length: 1 }, collect);
+
+        expect(iterationInputs).to.eql([
+          ['a', 0], ['b', 1],
+          ['c', 0], ['d', 1],
+          [0.5, 0], [1.5, 1],
+          ['e', 0]
+        ]);
+      });
+
+      it('should only iterate over an object\'s own properties', function() {
+        var Animals = function() {
+          this.a = 'ant';
+        };
+        Animals.prototype.b = 'bat';
+        var iterationInputs = [];
+
+        _.each(new Animals(), function(animal, key) {
+          iterationInputs.push([animal, key]);
+        });
+
+        expect(iterationInputs).to.eql([['ant', 'a']]);
+      });
+
+      it('should iterate over Maps, providing access to each value and its key', function() {
+        var ages = new Map([['moe', 30], ['curly', 50]]);
+        var iterationInputs = [];
+
+        _.each(ages, function(age, name, map) {
+          iterationInputs.push([age, name, map]);
+        });
+
+        expect(iterationInputs).to.eql([[30, 'moe', ages], [50, 'curly', ages]]);
+      });
+
+      it('should iterate over Sets and generators, providing access to each value and its position', function() {
+        var generate = function*() {
+          yield 'x';
+          yield 'y';
+        };
+        var iterationInputs = [];
+        var collect = function(value, index) {
+          iterationInputs.push([value, index]);
+        };
+
+        _.each(new Set(['a', 'b']), collect);
+        _.each(generate(), collect);
+
+        expect(iterationInputs).to.eql([['a', 0], ['b', 1], ['x', 0], ['y', 1]]);
+      });
+
+      it('should stop iterating when the iterator returns _.breaker', function() {
+        var visited = [];
+
+        _.each([1, 2, 3, 4], function(num) {
+          visited.push(num);
+          if (num === 2) {
+            return _.breaker;
+          }
+        });
+        _.each({ a: 1, b: 2, c: 3 }, function(num, key) {
+          visited.push(key);
+          return _.breaker;
+        });
+
+        expect(visited).to.eql([1, 2, 'a']);
+      });
+
+      it('should call the iterator with the context passed in', function() {
+        var context = { seen: [] };
+
+        _.each([1, 2], function(num) {
+          this.seen.push(num);
+        }, context);
+
+        expect(context.seen).to.eql([1, 2]);
+      });
+    });
+
+    describe('forIn', function() {
+      it('should iterate over own and inherited properties', function() {
+        var Animals = function() {
+          this.a = 'ant';
+        };
+        Animals.prototype.b = 'bat';
+        var iterationInputs = [];
+
+        _.forIn(new Animals(), function(animal, key) {
+          iterationInputs.push([animal, key]);
+        });
+
+        expect(iterationInputs).to.eql([['ant', 'a'], ['bat', 'b']]);
+      });
+    });
+
+    describe('keys, allKeys and values', function() {
+      var Animals = function() {
+        this.a = 'ant';
+        this.c = 'cat';
+      };
+      Animals.prototype.b = 'bat';
+
+      it('should return the names of own properties from keys', function() {
+        expect(_.keys(new Animals())).to.eql(['a', 'c']);
+        expect(_.keys(null)).to.eql([]);
+      });
+
+      it('should return the names of own and inherited properties from allKeys', function() {
+        expect(_.allKeys(new Animals())).to.eql(['a', 'c', 'b']);
+      });
+
+      it('should return the values of own properties from values', function() {
+        expect(_.values(new Animals())).to.eql(['ant', 'cat']);
+      });
     });
 
     describe('indexOf', function() {
@@ -118,6 +244,40 @@
         expect(_.indexOf(numbers, 35)).to.equal(-1);
       });
 
+      it('should find NaN', function() {
+        expect(_.indexOf([1, NaN, 2], NaN)).to.equal(1);
+      });
+
+      it('should search a sorted array by bisection when isSorted is true', function() {
+        var numbers = [10, 20, 20, 30, 40];
+
+        expect(_.indexOf(numbers, 20, true)).to.equal(1);
+        expect(_.indexOf(numbers, 40, true)).to.equal(4);
+        expect(_.indexOf(numbers, 35, true)).to.equal(-1);
+        expect(_.indexOf(numbers, 50, true)).to.equal(-1);
+      });
+
+      it('should compare values with a comparator if one is passed in', function() {
+        var people = [{ id: 1 }, { id: 2 }];
+        var sameId = function(a, b) { return a.id === b.id; };
+
+        expect(_.indexOf(people, { id: 2 }, sameId)).to.equal(1);
+        expect(_.indexOf(people, { id: 2 })).to.equal(-1);
+      });
+
+      it('should reject a third argument that is not a comparator, true or false', function() {
+        var error;
+
+        try {
+          _.indexOf([1, 2, 1], 1, 1);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(_.indexOf([1, 2], 2, false)).to.equal(1);
+      });
+
       it('returns the first index that the target can be found at when there are multiple matches', function() {
         var numbers = [1, 40, 40, 40, 40, 40, 40, 40, 50, 60, 70];
 
@@ -125,6 +285,49 @@
       });
     });
 
+    describe('sortedIndex', function() {
+      it('should find the index at which a value should be inserted to keep the array sorted', function() {
+        expect(_.sortedIndex([10, 20, 30, 40], 35)).to.equal(3);
+        expect(_.sortedIndex([10, 20, 30, 40], 5)).to.equal(0);
+        expect(_.sortedIndex([10, 20, 30, 40], 50)).to.equal(4);
+        expect(_.sortedIndex([], 1)).to.equal(0);
+      });
+
+      it('should insert before equal values, and after them for sortedLastIndex', function() {
+        expect(_.sortedIndex([10, 20, 20, 30], 20)).to.equal(1);
+        expect(_.sortedLastIndex([10, 20, 20, 30], 20)).to.equal(3);
+      });
+
+      it('should keep an array sorted by sortBy in order', function() {
+        var people = _.sortBy([{ name: 'moe', age: 30 }, { name: 'curly', age: 50 }], 'age');
+        var larry = { name: 'larry', age: 40 };
+
+        people.splice(_.sortedIndex(people, larry, 'age'), 0, larry);
+
+        expect(_.pluck(people, 'name')).to.eql(['moe', 'larry', 'curly']);
+      });
+    });
+
+    describe('find', function() {
+      it('should return the first element that passes the test', function() {
+        var isEven = function(num) { return num % 2 === 0; };
+
+        expect(_.find([1, 3, 4, 5, 6], isEven)).to.equal(4);
+        expect(_.find([{ id: 1 }, { id: 2 }], { id: 2 })).to.eql({ id: 2 });
+      });
+
+      it('should return undefined when no element passes the test', function() {
+        expect(_.find([1, 3, 5], function(num) { return num > 10; })).to.equal(undefined);
+      });
+
+      it('should stop testing elements once one passes', function() {
+        var test = sinon.spy(function(num) { return num === 2; });
+        _.find([1, 2, 3, 4], test);
+
+        expect(test).to.have.been.calledTwice;
+      });
+    });
+
     describe('filter', function() {
       it('should return all even numbers in an array', function() {
         var isEven = function(num) { return num % 2 === 0; };
@@ -147,6 +350,26 @@
 
         expect(evens).to.not.equal(numbers);
       });
+
+      it('should pass the element, index and array to the test', function() {
+        var everyOther = _.filter(['a', 'b', 'c', 'd'], function(letter, index, list) {
+          return index % 2 === 0 && list.length === 4;
+        });
+
+        expect(everyOther).to.eql(['a', 'c']);
+        expect(_.reject(['a', 'b', 'c'], function(letter, index) {
+          return index === 1;
+        })).to.eql(['a', 'c']);
+      });
+
+      it('should call the test with the context passed in', function() {
+        var range = { min: 2, max: 4 };
+        var inRange = _.filter([1, 2, 3, 4, 5], function(num) {
+          return num >= this.min && num <= this.max;
+        }, range);
+
+        expect(inRange).to.eql([2, 3, 4]);
+      });
     });
 
     describe('reject', function() {
@@ -187,6 +410,35 @@
         expect(_.uniq(numbers, true, iterator)).to.eql([1, 2, 3, 4]);
       });
 
+      it('should only compare neighbours when isSorted is true', function() {
+        expect(_.uniq([1, 1, 2, 3, 3, 3], true)).to.eql([1, 2, 3]);
+        expect(_.uniq([1, 2, 1], true)).to.eql([1, 2, 1]);
+        expect(_.uniq(['a', 'A', 'b'], true, function(letter) { return letter.toLowerCase(); })).to.eql(['a', 'b']);
+      });
+
+      it('should treat NaN values as duplicates', function() {
+        expect(_.uniq([NaN, 1, NaN])).to.eql([NaN, 1]);
+      });
+
+      it('should accept an iterator without isSorted', function() {
+        expect(_.uniq([1.5, 1.2, 2.3], Math.floor)).to.eql([1.5, 2.3]);
+        expect(_.uniqBy([{ id: 1, n: 'a' }, { id: 1, n: 'b' }], 'id')).to.eql([{ id: 1, n: 'a' }]);
+      });
+
+      it('should compare elements with the comparator passed to uniqWith', function() {
+        var unique = _.uniqWith([{ id: 1 }, { id: 1 }, { id: 2 }], _.isEqual);
+
+        expect(unique).to.eql([{ id: 1 }, { id: 2 }]);
+      });
+
+      it('should work on the arguments object', function() {
+        var uniqueNumbers = (function() {
+          return _.uniq(arguments);
+        }(1, 2, 1, 3));
+
+        expect(uniqueNumbers).to.eql([1, 2, 3]);
+      });
+
       it('should produce a brand new array instead of modifying the input array', function() {
         var numbers = [1, 2, 1, 3, 1, 4];
         var uniqueNumbers = _.uniq(numbers);
@@ -212,6 +464,32 @@
 
         expect(mappedNumbers).to.not.equal(numbers);
       });
+
+      it('should pass the element, index and array to the iterator', function() {
+        var letters = ['a', 'b'];
+        var iterationInputs = _.map(letters, function(letter, index, list) {
+          return [letter, index, list];
+        });
+
+        expect(iterationInputs).to.eql([['a', 0, letters], ['b', 1, letters]]);
+      });
+
+      it('should map strings and other array-likes in order', function() {
+        var upperCase = function(letter) { return letter.toUpperCase(); };
+        var halved = _.map(new Uint8Array([2, 4]), function(num) { return num / 2; });
+
+        expect(_.map('abc', upperCase)).to.eql(['A', 'B', 'C']);
+        expect(halved).to.eql([1, 2]);
+      });
+
+      it('should call the iterator with the context passed in', function() {
+        var multiplier = { factor: 3 };
+        var tripledNumbers = _.map([1, 2, 3], function(num) {
+          return num * this.factor;
+        }, multiplier);
+
+        expect(tripledNumbers).to.eql([3, 6, 9]);
+      });
     });
 
     describe('pluck', function() {
@@ -265,6 +543,42 @@
         expect(total).to.equal(11);
       });
 
+      it('should pass the accumulator, element, index and array to the iterator', function() {
+        var numbers = [5, 6, 7];
+        var iterationInputs = _.reduce(numbers, function(inputs, item, index, list) {
+          return inputs.concat([[item, index, list]]);
+        }, []);
+
+        expect(iterationInputs).to.eql([[5, 0, numbers], [6, 1, numbers], [7, 2, numbers]]);
+      });
+
+      it('should use the original index when the first element is the accumulator', function() {
+        var indexes = [];
+        _.reduce([5, 6, 7], function(tally, item, index) {
+          indexes.push(index);
+          return tally + item;
+        });
+
+        expect(indexes).to.eql([1, 2]);
+      });
+
+      it('should reduce objects', function() {
+        var total = _.reduce({ a: 1, b: 2, c: 3 }, function(tally, item) {
+          return tally + item;
+        });
+
+        expect(total).to.equal(6);
+      });
+
+      it('should call the iterator with the context passed in', function() {
+        var weights = { factor: 10 };
+        var total = _.reduce([1, 2], function(tally, item) {
+          return tally + item * this.factor;
+        }, 0, weights);
+
+        expect(total).to.equal(30);
+      });
+
     });
   });
 
@@ -1,6 +1,17 @@
 (function() {
   'use strict';
 
+  // Returns the error fn throws, if any. chai's throw assertion can't be
+  // used in these specs, as it needs the native functions testSupport.js
+  // disables.
+  var thrownBy = function(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+  };
+
   describe('Part II', function() {
     describe('contains', function() {
       it('should return false if a collection does not contain a user-specified value', function() {
@@ -14,6 +25,36 @@
       it('should work on objects', function(){
         expect(_.contains({ a: 4, b: 5, c: 6 }, 5)).to.be.true;
       });
+
+      it('should work on Maps and Sets', function() {
+        expect(_.contains(new Map([['a', 4], ['b', 5]]), 5)).to.be.true;
+        expect(_.contains(new Map([['a', 4], ['b', 5]]), 'a')).to.be.false;
+        expect(_.contains(new Set([4, 5]), 4)).to.be.true;
+      });
+
+      it('should find NaN', function() {
+        expect(_.contains([1, NaN], NaN)).to.be.true;
+      });
+
+      it('should compare items with a comparator if one is passed in', function() {
+        expect(_.contains([{ id: 1 }], { id: 1 })).to.be.false;
+        expect(_.contains([{ id: 1 }], { id: 1 }, _.isEqual)).to.be.true;
+      });
+
+      it('should search a sorted array when true is passed, and reject other values', function() {
+        expect(_.contains([1, 3, 5], 3, true)).to.be.true;
+        expect(_.contains([1, 3, 5], 4, true)).to.be.false;
+        expect(thrownBy(function() { _.contains([1, 2], 2, 1); })).to.be.an.instanceof(TypeError);
+      });
+
+      it('should stop looking once the value is found', function() {
+        var getter = sinon.spy(function() { return 6; });
+        var numbers = [4, 5];
+        Object.defineProperty(numbers, 2, { get: getter });
+
+        expect(_.contains(numbers, 5)).to.be.true;
+        expect(getter).to.have.not.been.called;
+      });
     });
 
     describe('every', function() {
@@ -52,6 +93,18 @@
         expect(_.every([0, 11, 28], isEven)).to.be.false;
       });
 
+      it('should stop at the first element that fails', function() {
+        var iterator = sinon.spy(isEven);
+        _.every([0, 1, 2, 4], iterator);
+
+        expect(iterator).to.have.been.calledTwice;
+      });
+
+      it('should call the iterator with the context passed in', function() {
+        expect(_.every([2, 3], function(num) { return num > this.min; }, { min: 1 })).to.be.true;
+        expect(_.every([2, 3], function(num) { return num > this.min; }, { min: 2 })).to.be.false;
+      });
+
       it('should work when no callback is provided', function() {
         expect(_.every([true, true, true])).to.be.true;
         expect(_.every([true, true, false])).to.be.false;
@@ -97,6 +150,18 @@
         expect(_.some([0], _.identity)).to.be.false;
       });
 
+      it('should stop at the first element that passes', function() {
+        var iterator = sinon.spy(isEven);
+        _.some([1, 2, 3, 5], iterator);
+
+        expect(iterator).to.have.been.calledTwice;
+      });
+
+      it('should call the iterator with the context passed in', function() {
+        expect(_.some([2, 3], function(num) { return num > this.min; }, { min: 2 })).to.be.true;
+        expect(_.some([2, 3], function(num) { return num > this.min; }, { min: 3 })).to.be.false;
+      });
+
       it('should work when no callback is provided', function() {
         expect(_.some([true, true, true])).to.be.true;
         expect(_.some([true, true, false])).to.be.true;
@@ -148,6 +213,35 @@
 
         expect(extended).to.eql({ x: 2, a: 1 });
       });
+
+      it('should not copy inherited properties', function() {
+        var Base = function() {};
+        Base.prototype.inherited = true;
+        var from = new Base();
+        from.own = true;
+
+        expect(_.extend({}, from)).to.eql({ own: true });
+        expect(_.defaults({}, from)).to.eql({ own: true });
+      });
+
+      it('should copy inherited properties when made by extender with inherited', function() {
+        var Base = function() {};
+        Base.prototype.inherited = true;
+        var from = new Base();
+        from.own = true;
+
+        expect(_.extender({ inherited: true })({}, from)).to.eql({ own: true, inherited: true });
+        expect(_.extender({ inherited: true, defaults: true })({ own: false }, from))
+          .to.eql({ own: false, inherited: true });
+      });
+
+      it('should copy a source with a length key by its keys, not by index', function() {
+        var from = { length: 2, name: 'x' };
+
+        expect(_.extend({}, from)).to.eql({ length: 2, name: 'x' });
+        expect(_.defaults({ name: 'y' }, from)).to.eql({ name: 'y', length: 2 });
+        expect(_.filter([{ length: 3 }, { length: 4 }], { length: 3 })).to.eql([{ length: 3 }]);
+      });
     });
 
     describe('defaults', function() {
@@ -194,6 +288,348 @@
       });
     });
 
+    describe('extend and defaults with unsafe keys', function() {
+      var payload;
+
+      beforeEach(function() {
+        payload = JSON.parse('{"__proto__": {"polluted": true}, "safe": 1}');
+      });
+
+      afterEach(function() {
+        _.mergeSettings.unsafeKeys = 'skip';
+      });
+
+      it('should skip __proto__, constructor and prototype keys', function() {
+        var extended = _.extend({}, payload, { constructor: 'x', prototype: 'y' });
+        var defaulted = _.defaults({}, payload);
+
+        expect(extended.safe).to.equal(1);
+        expect(extended.polluted).to.equal(undefined);
+        expect(Object.getPrototypeOf(extended)).to.equal(Object.prototype);
+        expect(extended.constructor).to.equal(Object);
+        expect(extended.prototype).to.equal(undefined);
+        expect(defaulted.polluted).to.equal(undefined);
+        expect({}.polluted).to.equal(undefined);
+      });
+
+      it('should report the offending key when set to throw', function() {
+        var error = thrownBy(function() {
+          _.extender({ unsafeKeys: 'throw' })({}, payload);
+        });
+
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(error.key).to.equal('__proto__');
+        expect(error.path).to.eql(['__proto__']);
+      });
+
+      it('should report unsafe keys from defaults even if the target has them', function() {
+        var error = thrownBy(function() {
+          _.extender({ defaults: true, unsafeKeys: 'throw' })({}, JSON.parse('{"constructor": 1}'));
+        });
+
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(error.key).to.equal('constructor');
+      });
+
+      it('should follow mergeSettings unless unsafeKeys is passed in', function() {
+        _.mergeSettings.unsafeKeys = 'throw';
+
+        expect(thrownBy(function() { _.extend({}, payload); })).to.be.an.instanceof(TypeError);
+        expect(thrownBy(function() { _.defaults({}, payload); })).to.be.an.instanceof(TypeError);
+        expect(_.extender({ unsafeKeys: 'skip' })({}, payload)).to.eql({ safe: 1 });
+      });
+
+      it('should not affect the keys of a matcher', function() {
+        var Foo = function() {};
+        var list = [new Foo(), {}];
+
+        expect(_.filter(list, { constructor: Foo })).to.eql([list[0]]);
+        _.mergeSettings.unsafeKeys = 'throw';
+        expect(_.filter(list, { constructor: Foo })).to.eql([list[0]]);
+      });
+    });
+
+    describe('assignDescriptors', function() {
+      it('should be aliased as extendOwn and return the first argument', function() {
+        var to = {};
+
+        expect(_.extendOwn).to.equal(_.assignDescriptors);
+        expect(_.assignDescriptors(to, { a: 1 })).to.equal(to);
+        expect(to.a).to.equal(1);
+      });
+
+      it('should not be combined with inherited in extender', function() {
+        var error = thrownBy(function() {
+          _.extender({ descriptors: true, inherited: true });
+        });
+
+        expect(error).to.be.an.instanceof(TypeError);
+      });
+
+      it('should copy getters and setters instead of their current values', function() {
+        var to = _.assignDescriptors({ count: 10 }, {
+          get double() { return this.count * 2; },
+          set double(value) { this.count = value / 2; }
+        });
+
+        expect(to.double).to.equal(20);
+        to.double = 8;
+        expect(to.count).to.equal(4);
+        expect(to.double).to.equal(8);
+      });
+
+      it('should copy non-enumerable and Symbol-keyed properties', function() {
+        var symbol = Symbol('mixin');
+        var source = {};
+        source[symbol] = 'symbol';
+        Object.defineProperty(source, 'hidden', { value: 'hidden', enumerable: false });
+        var to = _.assignDescriptors({}, source);
+
+        expect(to[symbol]).to.equal('symbol');
+        expect(to.hidden).to.equal('hidden');
+        expect(Object.getOwnPropertyDescriptor(to, 'hidden').enumerable).to.be.false;
+      });
+
+      it('should skip unsafe keys', function() {
+        var Mixin = function() {};
+        Mixin.prototype.greet = function() { return 'hi'; };
+        var to = _.assignDescriptors({}, Mixin.prototype);
+
+        expect(to.greet()).to.equal('hi');
+        expect(to.constructor).to.equal(Object);
+      });
+
+      it('should leave out a prototype\'s constructor even when set to throw', function() {
+        var Mixin = function() {};
+        Mixin.prototype.greet = function() { return 'hi'; };
+        var assignStrictly = _.extender({ descriptors: true, unsafeKeys: 'throw' });
+        var to = assignStrictly({}, Mixin.prototype);
+
+        expect(to.greet()).to.equal('hi');
+        expect(to.constructor).to.equal(Object);
+      });
+
+      it('should mix static members of a function into another', function() {
+        var Statics = function(a) {};
+        Statics.create = function() { return 'created'; };
+        var Target = function Target(a, b) {};
+        var prototype = Target.prototype;
+        var assignStrictly = _.extender({ descriptors: true, unsafeKeys: 'throw' });
+
+        expect(assignStrictly(Target, Statics)).to.equal(Target);
+        expect(Target.create()).to.equal('created');
+        expect(Target.name).to.equal('Target');
+        expect(Target.length).to.equal(2);
+        expect(Target.prototype).to.equal(prototype);
+      });
+    });
+
+    describe('merge', function() {
+      it('should merge nested objects instead of replacing them', function() {
+        var config = { server: { host: 'localhost', port: 80 }, debug: false };
+        var merged = _.merge(config, { server: { port: 8080 } }, { debug: true });
+
+        expect(merged).to.equal(config);
+        expect(merged).to.eql({ server: { host: 'localhost', port: 8080 }, debug: true });
+      });
+
+      it('should copy nested objects instead of sharing them with the source', function() {
+        var source = { server: { port: 8080 } };
+        var merged = _.merge({}, source);
+        merged.server.port = 80;
+
+        expect(source.server.port).to.equal(8080);
+      });
+
+      it('should replace arrays by default', function() {
+        expect(_.merge({ tags: ['a', 'b'] }, { tags: ['c'] })).to.eql({ tags: ['c'] });
+      });
+
+      it('should combine arrays with the concat, merge and union strategies', function() {
+        var target = { list: [{ id: 1, a: 1 }, { id: 2 }] };
+        var source = { list: [{ id: 2, b: 2 }, { id: 3 }] };
+
+        expect(_.merger({ arrays: 'concat' })({ n: [1, 2] }, { n: [2, 3] })).to.eql({ n: [1, 2, 2, 3] });
+        expect(_.merger({ arrays: 'merge' })({ n: [{ a: 1 }, 2] }, { n: [{ b: 1 }] })).to.eql({ n: [{ a: 1, b: 1 }, 2] });
+        expect(_.merger({ arrays: 'union', key: 'id' })(target, source)).to.eql({
+          list: [{ id: 1, a: 1 }, { id: 2, b: 2 }, { id: 3 }]
+        });
+      });
+
+      it('should accept a custom array strategy and a customizer', function() {
+        var merge = _.merger({
+          arrays: function(target, source) {
+            return source.concat(target);
+          },
+          customizer: function(targetValue, sourceValue, key, path) {
+            if (path.join('.') === 'counts.total') {
+              return targetValue + sourceValue;
+            }
+          }
+        });
+
+        expect(merge({ n: [1], counts: { total: 1 } }, { n: [2], counts: { total: 2 } })).to.eql({
+          n: [2, 1],
+          counts: { total: 3 }
+        });
+      });
+
+      it('should skip unsafe keys at any depth', function() {
+        var merged = _.merge({}, JSON.parse('{"a": {"__proto__": {"polluted": true}}}'));
+
+        expect(merged.a.polluted).to.equal(undefined);
+        expect({}.polluted).to.equal(undefined);
+      });
+
+      it('should report the path of an unsafe key when set to throw', function() {
+        var payload = JSON.parse('{"a": {"b": {"constructor": {}}}}');
+        var error = thrownBy(function() {
+          _.merger({ unsafeKeys: 'throw' })({}, payload);
+        });
+
+        expect(error.path).to.eql(['a', 'b', 'constructor']);
+      });
+
+      it('should copy circular references as cycles in the result', function() {
+        var source = { list: [] };
+        source.self = source;
+        source.list.push(source.list);
+        var merged = _.merge({}, source);
+
+        expect(merged.self).to.equal(merged);
+        expect(merged.list[0]).to.equal(merged.list);
+        expect(merged.list).to.not.equal(source.list);
+      });
+
+      it('should reject an unknown array strategy when the merger is made', function() {
+        var error = thrownBy(function() {
+          _.merger({ arrays: 'bogus' });
+        });
+
+        expect(error).to.be.an.instanceof(TypeError);
+      });
+
+      it('should take an unsafeKeys option for a single merge function', function() {
+        var strictMerge = _.merger({ unsafeKeys: 'throw' });
+        var payload = JSON.parse('{"__proto__": {"polluted": true}}');
+        var error = thrownBy(function() {
+          strictMerge({}, payload);
+        });
+
+        expect(error.key).to.equal('__proto__');
+        expect(_.merge({}, payload)).to.eql({});
+      });
+    });
+
+    describe('defaultsDeep', function() {
+      var defaults;
+
+      beforeEach(function() {
+        defaults = {
+          network: { timeout: 30, retries: 3, proxy: { host: 'proxy', port: 3128 } },
+          hosts: ['a', 'b'],
+          verbose: false
+        };
+      });
+
+      it('should fill in undefined values at any depth', function() {
+        var options = { network: { timeout: 5, proxy: { port: 8080 } }, verbose: undefined };
+
+        expect(_.defaultsDeep(options, defaults)).to.equal(options);
+        expect(options).to.eql({
+          network: { timeout: 5, retries: 3, proxy: { host: 'proxy', port: 8080 } },
+          hosts: ['a', 'b'],
+          verbose: false
+        });
+      });
+
+      it('should prefer the first value found for a key', function() {
+        var options = _.defaultsDeep({ network: { retries: 0 } }, { network: { retries: 1, timeout: 1 } }, defaults);
+
+        expect(options.network).to.eql({ retries: 0, timeout: 1, proxy: { host: 'proxy', port: 3128 } });
+      });
+
+      it('should not mutate the defaults', function() {
+        var options = _.defaultsDeep({}, defaults);
+        options.network.proxy.port = 1;
+        options.hosts.push('c');
+
+        expect(defaults.network.proxy.port).to.equal(3128);
+        expect(defaults.hosts).to.eql(['a', 'b']);
+      });
+    });
+
+    describe('isEqual', function() {
+      it('should compare primitives, treating NaN as equal to NaN', function() {
+        expect(_.isEqual(1, 1)).to.be.true;
+        expect(_.isEqual('1', 1)).to.be.false;
+        expect(_.isEqual(NaN, NaN)).to.be.true;
+        expect(_.isEqual(null, undefined)).to.be.false;
+      });
+
+      it('should compare arrays and plain objects deeply', function() {
+        expect(_.isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).to.be.true;
+        expect(_.isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).to.be.false;
+        expect(_.isEqual({ a: 1 }, { a: 1, b: undefined })).to.be.false;
+        expect(_.isEqual([1, 2], { 0: 1, 1: 2 })).to.be.false;
+      });
+
+      it('should compare Dates, RegExps and boxed primitives by value', function() {
+        expect(_.isEqual(new Date(5), new Date(5))).to.be.true;
+        expect(_.isEqual(new Date(5), new Date(6))).to.be.false;
+        expect(_.isEqual(/a/gi, /a/gi)).to.be.true;
+        expect(_.isEqual(/a/g, /a/i)).to.be.false;
+        expect(_.isEqual(new String('a'), new String('a'))).to.be.true;
+      });
+
+      it('should compare Maps, Sets and typed arrays by their contents', function() {
+        expect(_.isEqual(new Map([['a', { x: 1 }]]), new Map([['a', { x: 1 }]]))).to.be.true;
+        expect(_.isEqual(new Map([['a', 1]]), new Map([['b', 1]]))).to.be.false;
+        expect(_.isEqual(new Set([1, { y: 2 }]), new Set([{ y: 2 }, 1]))).to.be.true;
+        expect(_.isEqual(new Set([1, 2]), new Set([1, 3]))).to.be.false;
+        expect(_.isEqual(new Set([{ x: 1 }, { x: 1 }]), new Set([{ x: 1 }, { x: 2 }]))).to.be.false;
+        expect(_.isEqual(new Float64Array([1, NaN]), new Float64Array([1, NaN]))).to.be.true;
+        expect(_.isEqual(new Uint8Array([1]), new Int8Array([1]))).to.be.false;
+      });
+
+      it('should ask the customizer about every element of a Set', function() {
+        var nanIsUnequal = function(a) {
+          return a !== a ? false : undefined;
+        };
+
+        expect(_.isEqual([NaN], [NaN], nanIsUnequal)).to.be.false;
+        expect(_.isEqual(new Set([NaN]), new Set([NaN]), nanIsUnequal)).to.be.false;
+        expect(_.isEqual(new Set([1]), new Set([1]), nanIsUnequal)).to.be.true;
+      });
+
+      it('should handle circular references', function() {
+        var a = { name: 'a' };
+        var b = { name: 'a' };
+        a.self = a;
+        b.self = b;
+
+        expect(_.isEqual(a, b)).to.be.true;
+        b.self = { name: 'a', self: { name: 'b' } };
+        expect(_.isEqual(a, b)).to.be.false;
+      });
+
+      it('should let a customizer decide comparisons', function() {
+        var Money = function(cents) {
+          this.cents = cents;
+          this.id = Math.random();
+        };
+        var compareMoney = function(a, b) {
+          if (a instanceof Money && b instanceof Money) {
+            return a.cents === b.cents;
+          }
+        };
+
+        expect(_.isEqual([new Money(5)], [new Money(5)])).to.be.false;
+        expect(_.isEqual([new Money(5)], [new Money(5)], compareMoney)).to.be.true;
+        expect(_.isEqual([new Money(5)], [new Money(6)], compareMoney)).to.be.false;
+      });
+    });
+
     describe('once', function() {
       it('should only run a user-defined function if it hasn\'t been run before', function() {
         var num = 0;
@@ -241,6 +677,187 @@
         memoSpy(10);
         expect(spy).to.have.been.calledOnce;
       });
+
+      it('should not mix up arguments that stringify the same way', function() {
+        var spy = sinon.spy(function() { return arguments.length; });
+        var memoSpy = _.memoize(spy);
+
+        expect(memoSpy([1, 2])).to.equal(1);
+        expect(memoSpy(1, 2)).to.equal(2);
+        expect(memoSpy('1,2')).to.equal(1);
+        memoSpy({ a: 1 });
+        memoSpy({ a: 1 });
+        memoSpy(1);
+        memoSpy('1');
+
+        expect(spy.callCount).to.equal(7);
+      });
+
+      it('should tell symbols apart, and find registered symbols by name', function() {
+        var spy = sinon.spy();
+        var memoSpy = _.memoize(spy);
+
+        memoSpy(Symbol('a'));
+        memoSpy(Symbol('a'));
+        memoSpy(Symbol.for('a'));
+        memoSpy(Symbol.for('a'));
+
+        expect(spy).to.have.been.calledThrice;
+      });
+
+      it('should cache undefined results', function() {
+        var spy = sinon.spy();
+        var memoSpy = _.memoize(spy);
+
+        memoSpy(1);
+        memoSpy(1);
+
+        expect(spy).to.have.been.calledOnce;
+      });
+
+      it('should key the cache with the hasher passed in', function() {
+        var spy = sinon.spy(function(user) { return user.name; });
+        var memoSpy = _.memoize(spy, function(user) { return user.id; });
+
+        expect(memoSpy({ id: 1, name: 'moe' })).to.equal('moe');
+        expect(memoSpy({ id: 1, name: 'curly' })).to.equal('moe');
+        expect(spy).to.have.been.calledOnce;
+      });
+
+      it('should expose the cache and the hasher', function() {
+        memoAdd(1, 2);
+
+        expect(memoAdd.cache.get(memoAdd.hasher(1, 2))).to.equal(3);
+        memoAdd.cache.clear();
+        expect(memoAdd.cache.size).to.equal(0);
+      });
+
+      it('should evict the least recently used result past maxSize', function() {
+        var spy = sinon.spy(function(n) { return n * 2; });
+        var memoSpy = _.memoize(spy, { maxSize: 2 });
+
+        memoSpy(1);
+        memoSpy(2);
+        memoSpy(1);
+        memoSpy(3);
+
+        expect(memoSpy.cache.size).to.equal(2);
+        memoSpy(1);
+        expect(spy).to.have.been.calledThrice;
+        memoSpy(2);
+        expect(spy.callCount).to.equal(4);
+      });
+
+      it('should recompute results once their ttl has passed', function() {
+        var spy = sinon.spy(function(n) { return n * 2; });
+        var memoSpy = _.memoize(spy, { ttl: 100 });
+
+        memoSpy(1);
+        clock.tick(99);
+        memoSpy(1);
+        expect(spy).to.have.been.calledOnce;
+
+        clock.tick(1);
+        expect(memoSpy.cache.size).to.equal(0);
+        memoSpy(1);
+        expect(spy).to.have.been.calledTwice;
+      });
+
+      it('should never return a missing result when one expires during a call', function() {
+        var now = Date.now;
+        var time = now();
+        var results = [];
+        // Every reading of the time moves it one millisecond on, so that
+        // some call finds its result right as it expires.
+        Date.now = function() {
+          return time++;
+        };
+
+        try {
+          for (var ttl = 1; ttl <= 4; ttl++) {
+            var memoDouble = _.memoize(function(n) { return n * 2; }, { ttl: ttl });
+            for (var i = 0; i < 10; i++) {
+              results.push(memoDouble(1));
+            }
+          }
+        } finally {
+          Date.now = now;
+        }
+
+        expect(_.every(results, function(result) { return result === 2; })).to.be.true;
+      });
+
+      it('should recompute a result once exactly its ttl has passed', function() {
+        var spy = sinon.spy(function(n) { return n * 2; });
+        var memoSpy = _.memoize(spy, { ttl: 5 });
+
+        memoSpy(1);
+        clock.tick(4);
+        expect(memoSpy(1)).to.equal(2);
+        clock.tick(1);
+        expect(memoSpy(1)).to.equal(2);
+        expect(spy).to.have.been.calledTwice;
+      });
+
+      it('should remove every expired result when a new one is stored', function() {
+        var memoDouble = _.memoize(function(n) { return n * 2; }, { ttl: 100 });
+
+        for (var i = 0; i < 1000; i++) {
+          memoDouble(i);
+        }
+        clock.tick(100);
+        memoDouble(-1);
+
+        expect(memoDouble.cache.expirations).to.equal(1000);
+      });
+
+      it('should keep no results with a maxSize or ttl of 0', function() {
+        var spy = sinon.spy();
+        var bySize = _.memoize(spy, { maxSize: 0 });
+        var byTime = _.memoize(spy, { ttl: 0 });
+
+        bySize(1);
+        bySize(1);
+        byTime(1);
+        byTime(1);
+
+        expect(spy.callCount).to.equal(4);
+        expect(bySize.cache.size).to.equal(0);
+      });
+
+      it('should reject a maxSize or ttl that is not a number of at least 0', function() {
+        expect(thrownBy(function() { _.memoize(_.identity, { maxSize: null }); })).to.be.an.instanceof(TypeError);
+        expect(thrownBy(function() { _.memoize(_.identity, { ttl: -1 }); })).to.be.an.instanceof(TypeError);
+        expect(thrownBy(function() { _.memoize(_.identity, { ttl: '5' }); })).to.be.an.instanceof(TypeError);
+      });
+
+      it('should let results be deleted from the cache', function() {
+        var spy = sinon.spy(function(n) { return n * 2; });
+        var memoSpy = _.memoize(spy);
+
+        memoSpy(1);
+        expect(memoSpy.cache.delete(memoSpy.hasher(1))).to.equal(true);
+        memoSpy(1);
+        expect(spy).to.have.been.calledTwice;
+      });
+
+      it('should count hits, misses, evictions and expirations', function() {
+        var memoDouble = _.memoize(function(n) { return n * 2; }, { maxSize: 1, ttl: 100 });
+
+        memoDouble(1);
+        memoDouble(1);
+        memoDouble(2);
+        clock.tick(100);
+        memoDouble(2);
+
+        expect(memoDouble.cache.stats()).to.eql({
+          hits: 1,
+          misses: 3,
+          evictions: 1,
+          expirations: 1,
+          size: 1
+        });
+      });
     });
 
     describe('delay', function() {
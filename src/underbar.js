@@ -1,7 +1,225 @@
-(function() {
+// Universal module definition: registers with AMD loaders, exports through
+// CommonJS (which is also what ES module importers and bundlers consume), and
+// only falls back to a global when neither is present and a global object
+// actually exists.
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], function() {
+      return factory(root);
+    });
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root);
+  } else if (root) {
+    factory(root).install();
+  }
+}(typeof globalThis === 'object' ? globalThis :
+  typeof self === 'object' ? self :
+  typeof window === 'object' ? window : undefined, function(root) {
   'use strict';
 
-  window._ = {};
+  // Wraps a value so the library's functions can be called on it as
+  // methods and chained together, e.g.
+  // _(people).filter(isAdult).pluck('name').value().
+  var _ = function(obj) {
+    if (obj instanceof _) {
+      return obj;
+    }
+    if (!(this instanceof _)) {
+      return new _(obj);
+    }
+    this._wrapped = obj;
+  };
+
+  var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+  // Global names the library has been installed under, mapped to whatever
+  // value each of those names held beforehand.
+  var previousGlobals = {};
+
+  // Installs the library on the global object under the given name, or
+  // under '_' if no name is passed in. The value previously held by that
+  // name is saved so that noConflict can restore it.
+  _.install = function(name) {
+    name = name === undefined ? '_' : name;
+    if (root) {
+      if (!hasOwnProperty.call(previousGlobals, name)) {
+        previousGlobals[name] = root[name];
+      }
+      root[name] = _;
+    }
+    return _;
+  };
+
+  // Gives every global name the library was installed under back to its
+  // previous owner, and returns the library so it can be kept elsewhere.
+  _.noConflict = function() {
+    for (var name in previousGlobals) {
+      if (root[name] === _) {
+        root[name] = previousGlobals[name];
+      }
+      delete previousGlobals[name];
+    }
+    return _;
+  };
+
+  // Returns a function that calls func with context as its `this`, or func
+  // itself if no context is passed in.
+  var bindContext = function(func, context) {
+    if (context === undefined) {
+      return func;
+    }
+    return function() {
+      return func.apply(context, arguments);
+    };
+  };
+
+  // Determines whether a collection should be iterated by index: arrays,
+  // strings, arguments objects, NodeLists, typed arrays and any other object
+  // with a valid numeric length.
+  var isArrayLike = function(collection) {
+    if (typeof collection === 'string') {
+      return true;
+    }
+    if (collection === null || typeof collection !== 'object') {
+      return false;
+    }
+    var length = collection.length;
+    return typeof length === 'number' && length >= 0 &&
+      length % 1 === 0 && length <= 9007199254740991;
+  };
+
+  // Determines whether a collection implements the ES2015 iterator
+  // protocol, like Maps, Sets and generator objects do.
+  var isIterable = function(collection) {
+    return typeof Symbol === 'function' && collection !== null &&
+      collection !== undefined &&
+      typeof collection[Symbol.iterator] === 'function';
+  };
+
+  // The default way of comparing values in indexOf, contains, uniq and the
+  // other set-like functions: like ===, except that NaN equals NaN.
+  var sameValueZero = function(a, b) {
+    return a === b || (a !== a && b !== b);
+  };
+
+  // Returns a negative number if a < b, a positive number if a > b, and 0
+  // otherwise.
+  var compareAscending = function(a, b) {
+    if (a < b) {
+      return -1;
+    }
+    if (a > b) {
+      return 1;
+    }
+    return 0;
+  };
+
+  // Returns a function that compares two sort criteria the way sortBy,
+  // sortedIndex and by do: booleans, then numbers and Dates, then strings,
+  // then other values, with NaN, null and undefined last. The README
+  // describes its options.
+  _.collator = function(options) {
+    options = options || {};
+    var compareStrings = options.locale || options.sensitivity ||
+      options.caseInsensitive ? stringCollator(options) :
+      options.numeric ? compareNatural : compareAscending;
+    var nullsFirst = options.nulls === 'first';
+    return function(a, b) {
+      var aEmpty = emptyRank(a);
+      var bEmpty = emptyRank(b);
+      if (aEmpty || bEmpty) {
+        if (aEmpty && bEmpty) {
+          return aEmpty - bEmpty;
+        }
+        return (aEmpty ? 1 : -1) * (nullsFirst ? -1 : 1);
+      }
+      var aType = typeRank(a);
+      var bType = typeRank(b);
+      if (aType !== bType) {
+        return aType - bType;
+      }
+      if (aType === 2) {
+        return compareStrings(a, b);
+      }
+      if (aType === 3) {
+        return 0;
+      }
+      return compareAscending(isDate(a) ? a.getTime() : a,
+        isDate(b) ? b.getTime() : b);
+    };
+  };
+
+  var isDate = function(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+  };
+
+  // Ranks the criteria that sort as empty: 1 for NaN and invalid Dates, 2
+  // for null and 3 for undefined. Any other value gets 0.
+  var emptyRank = function(value) {
+    if (value === undefined) {
+      return 3;
+    }
+    if (value === null) {
+      return 2;
+    }
+    if (value !== value || (isDate(value) && isNaN(value.getTime()))) {
+      return 1;
+    }
+    return 0;
+  };
+
+  // Ranks the other criteria by type: 0 for booleans, 1 for numbers and
+  // Dates, 2 for strings and 3 for anything else.
+  var typeRank = function(value) {
+    switch (typeof value) {
+      case 'boolean':
+        return 0;
+      case 'number':
+      case 'bigint':
+        return 1;
+      case 'string':
+        return 2;
+    }
+    return isDate(value) ? 1 : 3;
+  };
+
+  // Returns a function that compares two strings following the locale and
+  // sensitivity options, using Intl.Collator where the environment has it.
+  var stringCollator = function(options) {
+    var sensitivity = options.sensitivity ||
+      (options.caseInsensitive ? 'accent' : 'variant');
+    if (typeof Intl === 'object' && Intl.Collator) {
+      return new Intl.Collator(options.locale, {
+        numeric: !!options.numeric,
+        sensitivity: sensitivity
+      }).compare;
+    }
+    return function(a, b) {
+      if (sensitivity === 'base' || sensitivity === 'accent') {
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+      }
+      return options.numeric ? compareNatural(a, b) : compareAscending(a, b);
+    };
+  };
+
+  // Compares two strings chunk by chunk, comparing runs of digits by their
+  // numeric value and everything else by code unit.
+  var compareNatural = function(a, b) {
+    var aChunks = a.match(/\d+|\D+/g) || [];
+    var bChunks = b.match(/\d+|\D+/g) || [];
+    for (var i = 0; i < aChunks.length && i < bChunks.length; i++) {
+      var aChunk = aChunks[i];
+      var bChunk = bChunks[i];
+      var order = /\d/.test(aChunk) && /\d/.test(bChunk) ?
+        compareAscending(+aChunk, +bChunk) :
+        compareAscending(aChunk, bChunk);
+      if (order) {
+        return order;
+      }
+    }
+    return aChunks.length - bChunks.length;
+  };
 
   // Returns whatever value is passed as the argument.
   // Use this if a function needs an iterator and none is passed in.
@@ -9,6 +227,73 @@
     return val;
   };
 
+  // Turns any value into an iterator: functions are bound to context, null
+  // and undefined give identity, arrays a deep property accessor, objects a
+  // matcher and anything else a property accessor. (sortBy reads an array
+  // as a list of sort keys instead.)
+  _.iteratee = function(value, context) {
+    if (value === undefined || value === null) {
+      return _.identity;
+    }
+    if (typeof value === 'function') {
+      return bindContext(value, context);
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      return _.matcher(value);
+    }
+    return _.property(value);
+  };
+
+  // Returns a function that reads the named property of an object. If path
+  // is an array, its keys are followed one after another into nested
+  // objects. Missing objects along the way give undefined instead of an error.
+  _.property = function(path) {
+    if (!Array.isArray(path)) {
+      return function(obj) {
+        return obj === undefined || obj === null ? undefined : obj[path];
+      };
+    }
+    return function(obj) {
+      for (var i = 0; i < path.length; i++) {
+        if (obj === undefined || obj === null) {
+          return undefined;
+        }
+        obj = obj[path[i]];
+      }
+      return obj;
+    };
+  };
+
+  // Determines whether an object has every key/value pair of attrs.
+  _.isMatch = function(obj, attrs) {
+    var keys = _.keys(attrs);
+    for (var i = 0; i < keys.length; i++) {
+      var key = keys[i];
+      if (obj === undefined || obj === null || !(key in Object(obj)) ||
+        obj[key] !== attrs[key]) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Returns a predicate that determines whether an object has every
+  // key/value pair of attrs. attrs is copied so later changes to it don't
+  // affect the predicate. The copy is only read from, so keys such as
+  // constructor are kept as conditions like any other.
+  _.matcher = function(attrs) {
+    var copy = {};
+    eachKey(attrs, _.keys(attrs), function(value, key) {
+      Object.defineProperty(copy, key, {
+        value: value,
+        enumerable: true
+      });
+    });
+    return function(obj) {
+      return _.isMatch(obj, copy);
+    };
+  };
+
   _.first = function(array, n) {
     return n === undefined ? array[0] : array.slice(0, n);
   };
@@ -22,37 +307,176 @@
     return n === undefined ? array[array.length - 1] : array.slice(-n);
   };
 
-  // Calls iterator(value, key, collection) for each element of collection.
-  // Accepts both arrays and objects.
-  _.each = function(collection, iterator) {
-    if (Array.isArray(collection)) {
+  // Returning _.breaker from an iterator passed to _.each stops the
+  // iteration, so functions built on _.each can quit as soon as they know
+  // their answer.
+  _.breaker = {};
+
+  // Calls iterator(value, key, collection) for each element of an array-like
+  // collection, iterable or object's own properties, with context as `this`,
+  // until the iterator returns _.breaker. Maps pass each value with its key.
+  _.each = function(collection, iterator, context) {
+    iterator = bindContext(iterator, context);
+    if (isArrayLike(collection)) {
       for (var i = 0; i < collection.length; i++) {
-        iterator(collection[i], i, collection);
+        if (iterator(collection[i], i, collection) === _.breaker) {
+          return;
+        }
+      }
+    } else if (isIterable(collection)) {
+      var isMap = Object.prototype.toString.call(collection) === '[object Map]';
+      var cursor = collection[Symbol.iterator]();
+      var index = 0;
+      for (var step = cursor.next(); !step.done; step = cursor.next()) {
+        var result = isMap ?
+          iterator(step.value[1], step.value[0], collection) :
+          iterator(step.value, index++, collection);
+        if (result === _.breaker) {
+          // Let generators know they won't be resumed so they can clean up.
+          if (typeof cursor.return === 'function') {
+            cursor.return();
+          }
+          return;
+        }
       }
     } else {
-      for (var key in collection) {
-        iterator(collection[key], key, collection);
+      eachKey(collection, _.keys(collection), iterator);
+    }
+  };
+
+  // Calls iterator(obj[key], key, obj) for each of the given keys until the
+  // iterator returns _.breaker.
+  var eachKey = function(obj, keys, iterator) {
+    for (var i = 0; i < keys.length; i++) {
+      if (iterator(obj[keys[i]], keys[i], obj) === _.breaker) {
+        return;
+      }
+    }
+  };
+
+  // Like _.each for objects, but also visits enumerable properties that
+  // the object inherits through its prototype chain.
+  _.forIn = function(obj, iterator, context) {
+    eachKey(obj, _.allKeys(obj), bindContext(iterator, context));
+  };
+
+  // Returns the names of an object's own enumerable properties.
+  _.keys = function(obj) {
+    var keys = [];
+    for (var key in obj) {
+      if (hasOwnProperty.call(obj, key)) {
+        keys.push(key);
       }
     }
+    return keys;
+  };
+
+  // Returns the names of all of an object's enumerable properties,
+  // including inherited ones.
+  _.allKeys = function(obj) {
+    var keys = [];
+    for (var key in obj) {
+      keys.push(key);
+    }
+    return keys;
+  };
+
+  // Returns the values of an object's own enumerable properties.
+  _.values = function(obj) {
+    var values = [];
+    eachKey(obj, _.keys(obj), function(value) {
+      values.push(value);
+    });
+    return values;
   };
 
   // Returns the index at which a target value can be found in the array,
-  // or -1 if target value is not present in the array.
-  _.indexOf = function(array, target) {
+  // or -1 if target value is not present in the array. Values are compared
+  // with comparator(value, target) if one is passed in. If true is passed
+  // in instead, the array is taken to be sorted and searched by bisection.
+  _.indexOf = function(array, target, comparator) {
+    if (comparator === true) {
+      var index = _.sortedIndex(array, target);
+      return index < array.length && sameValueZero(array[index], target) ?
+        index : -1;
+    }
+    comparator = toComparator(comparator);
     var result = -1;
     _.each(array, function(value, index) {
-      if (value === target && result === -1) {
+      if (comparator(value, target)) {
         result = index;
+        return _.breaker;
       }
     });
     return result;
   };
 
-  // Returns all elements of an array that pass a truth test.
-  _.filter = function(collection, test) {
+  // Returns the comparator passed to indexOf or contains, or sameValueZero if
+  // it is undefined or false. Anything else, like a numeric fromIndex, would
+  // otherwise fail later with a less helpful error.
+  var toComparator = function(comparator) {
+    if (comparator === undefined || comparator === false) {
+      return sameValueZero;
+    }
+    if (typeof comparator !== 'function') {
+      throw new TypeError('Expected a comparator function, true or false, ' +
+        'not ' + typeof comparator);
+    }
+    return comparator;
+  };
+
+  // Uses a binary search to find the lowest index at which value should be
+  // inserted into an array sorted by iterator, and with the same collation
+  // options, to keep it sorted.
+  _.sortedIndex = function(array, value, iterator, options) {
+    return binarySearch(array, value, _.iteratee(iterator),
+      _.collator(options), false);
+  };
+
+  // Like _.sortedIndex, but finds the highest index at which value can be
+  // inserted, after any elements that sort the same as value.
+  _.sortedLastIndex = function(array, value, iterator, options) {
+    return binarySearch(array, value, _.iteratee(iterator),
+      _.collator(options), true);
+  };
+
+  var binarySearch = function(array, value, iterator, compare, last) {
+    var computed = iterator(value);
+    var low = 0;
+    var high = array.length;
+    while (low < high) {
+      var middle = Math.floor((low + high) / 2);
+      var order = compare(iterator(array[middle]), computed);
+      if (order < 0 || (last && order === 0)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  };
+
+  // Returns the first element that passes a truth test, or undefined if
+  // none of them do.
+  _.find = function(collection, test, context) {
+    test = _.iteratee(test, context);
+    var result;
+    _.each(collection, function(element, key, list) {
+      if (test(element, key, list)) {
+        result = element;
+        return _.breaker;
+      }
+    });
+    return result;
+  };
+
+  // Returns all elements of an array that pass a truth test. Like every
+  // other iterator, test is called with (element, index, collection).
+  _.filter = function(collection, test, context) {
+    test = _.iteratee(test, context);
     var results = [];
-    _.each(collection, function(element) {
-      if (test(element)) {
+    _.each(collection, function(element, index, list) {
+      if (test(element, index, list)) {
         results.push(element);
       }
     });
@@ -60,28 +484,92 @@
   };
 
   // Returns all elements of an array that don't pass a truth test.
-  _.reject = function(collection, test) {
-    return _.filter(collection, function(element) {
-      return !test(element);
+  _.reject = function(collection, test, context) {
+    test = _.iteratee(test, context);
+    return _.filter(collection, function(element, index, list) {
+      return !test(element, index, list);
     });
   };
 
-  // Produces a duplicate-free version of the array.
-  _.uniq = function(array) {
+  // Produces a duplicate-free version of the array, comparing the values the
+  // iterator returns if one is passed in. With isSorted, each element is
+  // only compared with the one before it.
+  _.uniq = function(array, isSorted, iterator, context) {
+    if (typeof isSorted !== 'boolean') {
+      context = iterator;
+      iterator = isSorted;
+      isSorted = false;
+    }
+    return baseUniq(array, _.iteratee(iterator, context), sameValueZero,
+      isSorted);
+  };
+
+  // Like _.uniq, but with the iterator as the second argument.
+  _.uniqBy = function(array, iterator, context) {
+    return baseUniq(array, _.iteratee(iterator, context), sameValueZero);
+  };
+
+  // Like _.uniq, but two elements are duplicates when
+  // comparator(element, other) returns true.
+  _.uniqWith = function(array, comparator) {
+    return baseUniq(array, _.identity, comparator);
+  };
+
+  // Returns the elements of array whose computed values are unique
+  // according to comparator.
+  var baseUniq = function(array, iterator, comparator, isSorted) {
     var results = [];
-    _.each(array, function(element, index) {
-      if (_.indexOf(results, element) === -1) {
+    var seen = isSorted ? undefined : createLookup(comparator);
+    var last;
+    _.each(array, function(element, index, list) {
+      var computed = iterator(element, index, list);
+      if (isSorted) {
+        if (!results.length || !comparator(last, computed)) {
+          results.push(element);
+        }
+        last = computed;
+      } else if (!seen.has(computed)) {
+        seen.add(computed);
         results.push(element);
       }
     });
     return results;
   };
 
+  // Creates the lookup the set-like functions use to remember values. With
+  // the default comparator it is a Set, which compares values the same way
+  // and finds them in constant time. A custom comparator can't be hashed,
+  // so then the lookup falls back to scanning the values it holds.
+  var createLookup = function(comparator) {
+    if (comparator === sameValueZero) {
+      return new Set();
+    }
+    var values = [];
+    return {
+      has: function(value) {
+        return _.contains(values, value, comparator);
+      },
+      add: function(value) {
+        values.push(value);
+      }
+    };
+  };
+
+  // Returns a lookup holding the computed values of the elements of array.
+  var lookupOf = function(array, iterator, comparator) {
+    var lookup = createLookup(comparator);
+    _.each(array, function(element) {
+      lookup.add(iterator(element));
+    });
+    return lookup;
+  };
+
   // Returns the results of applying an iterator to each element.
-  _.map = function(collection, iterator) {
+  _.map = function(collection, iterator, context) {
+    iterator = _.iteratee(iterator, context);
     var results = [];
-    _.each(collection, function(element) {
-      results.push(iterator(element));
+    _.each(collection, function(element, index, list) {
+      results.push(iterator(element, index, list));
     });
     return results;
   };
@@ -90,91 +578,437 @@
   // a certain property in it. For example, take an array of people and
   // return an array of just their ages.
   _.pluck = function(collection, key) {
-    return _.map(collection, function(object) {
-      return object[key];
-    });
+    return _.map(collection, _.property(key));
   };
 
   // Reduces an array or object to a single value by calling
-  // iterator(accumulator, item) for each item; accumulator should be
-  // the return value of the previous iterator call. A starting value for the
-  // accumulator can be passed as the third argument to reduce. If no starting
-  // value is passed, the first element is used as the accumulator and is
-  // never passed to the iterator. So, in the case where a starting value is
-  // not passed, the iterator is not invoked until the second element, with
-  // the first element as its second argument.
-  _.reduce = function(collection, iterator, accumulator) {
-    if (arguments.length < 3) {
-      accumulator = collection[0];
-      collection = collection.slice(1);
-    }
-    _.each(collection, function(item) {
-      accumulator = iterator(accumulator, item);
+  // iterator(accumulator, item, key, collection) for each item; accumulator
+  // should be the return value of the previous iterator call. A starting
+  // value for the accumulator can be passed as the third argument to reduce.
+  // If no starting value is passed, the first element is used as the
+  // accumulator and is never passed to the iterator. So, in the case where a
+  // starting value is not passed, the iterator is not invoked until the
+  // second element, with the first element as its second argument. The
+  // iterator is called with context as `this` if it is passed in as the
+  // fourth argument.
+  _.reduce = function(collection, iterator, accumulator, context) {
+    iterator = bindContext(iterator, context);
+    var initializing = arguments.length < 3;
+    _.each(collection, function(item, key, list) {
+      if (initializing) {
+        accumulator = item;
+        initializing = false;
+      } else {
+        accumulator = iterator(accumulator, item, key, list);
+      }
     });
     return accumulator;
   };
 
   // Determines if the array or object contains an item that is strictly
-  // equal to the passed in target.
-  _.contains = function(collection, target) {
-    return _.reduce(collection, function(wasFound, item) {
-      if (wasFound) {
-        return true;
+  // equal to the passed in target (counting NaN as equal to NaN), or for
+  // which comparator(item, target) returns true if a comparator is passed.
+  // Like indexOf, it searches a sorted array by bisection if true is passed.
+  _.contains = function(collection, target, comparator) {
+    if (comparator === true) {
+      return _.indexOf(collection, target, true) !== -1;
+    }
+    comparator = toComparator(comparator);
+    var wasFound = false;
+    _.each(collection, function(item) {
+      if (comparator(item, target)) {
+        wasFound = true;
+        return _.breaker;
       }
-      return item === target;
-    }, false);
+    });
+    return wasFound;
   };
 
   // Determines whether all of the elements match a truth test.
   // If no iterator is provided, provide a default one.
-  _.every = function(collection, iterator) {
-    if (arguments.length < 2) {
-      iterator = _.identity;
-    }
-    return _.reduce(collection, function(allTrue, element) {
-      if (!allTrue) {
-        return false;
+  _.every = function(collection, iterator, context) {
+    iterator = _.iteratee(iterator, context);
+    var allTrue = true;
+    _.each(collection, function(element, key, list) {
+      if (!iterator(element, key, list)) {
+        allTrue = false;
+        return _.breaker;
       }
-      return !!(iterator(element) && allTrue);
-    }, true);
+    });
+    return allTrue;
   };
 
   // Determine whether any of the elements pass a truth test.
   // If no iterator is provided, provide a default one.
-  _.some = function(collection, iterator) {
-    if (arguments.length < 2) {
-      iterator = _.identity;
-    }
-    return !_.every(collection, function(element) {
-      return !iterator(element);
+  _.some = function(collection, iterator, context) {
+    iterator = _.iteratee(iterator, context);
+    var anyTrue = false;
+    _.each(collection, function(element, key, list) {
+      if (iterator(element, key, list)) {
+        anyTrue = true;
+        return _.breaker;
+      }
     });
+    return anyTrue;
   };
 
-  // Extends a given object with all the properties of the
-  // passed in object(s).
-  _.extend = function(obj) {
-    var args = Array.prototype.slice.call(arguments);
-    return _.reduce(args, function(obj, arg) {
-      _.each(arg, function(value, key) {
-        obj[key] = value;
-      });
+  // Decides what extend, defaults and merge do with __proto__, constructor
+  // and prototype keys: 'skip' them, or 'throw' a TypeError naming the key.
+  // The functions made by _.extender and _.merger can override it.
+  _.mergeSettings = {
+    unsafeKeys: 'skip'
+  };
+
+  // Returns whether key can be copied safely. path is the list of keys
+  // leading to the object that holds key, when it is nested. unsafeKeys
+  // overrides _.mergeSettings.unsafeKeys if it is passed in.
+  var isSafeKey = function(key, path, unsafeKeys) {
+    if (key !== '__proto__' && key !== 'constructor' && key !== 'prototype') {
+      return true;
+    }
+    if ((unsafeKeys || _.mergeSettings.unsafeKeys) === 'throw') {
+      var keyPath = (path || []).concat([key]);
+      var error = new TypeError('Refusing to copy unsafe key "' +
+        keyPath.join('.') + '"');
+      error.key = key;
+      error.path = keyPath;
+      throw error;
+    }
+    return false;
+  };
+
+  // Returns an extend function that follows the given options: defaults,
+  // inherited, descriptors and unsafeKeys. The README describes each one.
+  _.extender = function(options) {
+    options = options || {};
+    if (options.inherited && options.descriptors) {
+      throw new TypeError('The inherited and descriptors options of ' +
+        'extender can\'t be combined');
+    }
+    var keysOf = options.descriptors ? ownKeys :
+      options.inherited ? _.allKeys : _.keys;
+    var copy = function(obj, source, key) {
+      // Every prototype has a constructor, and every function a prototype,
+      // name and length, which obj should keep its own of.
+      if (options.descriptors && (key === 'constructor' ||
+        (typeof source === 'function' &&
+        (key === 'prototype' || key === 'name' || key === 'length')))) {
+        return;
+      }
+      if (!isSafeKey(key, undefined, options.unsafeKeys) ||
+        (options.defaults && obj[key] !== undefined)) {
+        return;
+      }
+      if (options.descriptors) {
+        Object.defineProperty(obj, key,
+          Object.getOwnPropertyDescriptor(source, key));
+      } else {
+        obj[key] = source[key];
+      }
+    };
+    return function(obj) {
+      for (var i = 1; i < arguments.length; i++) {
+        var keys = keysOf(arguments[i]);
+        for (var j = 0; j < keys.length; j++) {
+          copy(obj, arguments[i], keys[j]);
+        }
+      }
       return obj;
-    }, obj);
+    };
   };
 
-  // Extends a given object with all the properties of the
+  // Returns the names and symbols of all of an object's own properties,
+  // enumerable or not.
+  var ownKeys = function(obj) {
+    if (obj === null || obj === undefined) {
+      return [];
+    }
+    var keys = Object.getOwnPropertyNames(obj);
+    if (typeof Object.getOwnPropertySymbols === 'function') {
+      keys = keys.concat(Object.getOwnPropertySymbols(obj));
+    }
+    return keys;
+  };
+
+  // Extends a given object with all the own properties of the
+  // passed in object(s). Unsafe keys are handled according to
+  // _.mergeSettings.
+  _.extend = _.extender();
+
+  // Extends a given object with all the own properties of the
   // passed in object(s), but doesn't overwrite a key that
-  // already exists in obj.
-  _.defaults = function(obj) {
-    var args = Array.prototype.slice.call(arguments);
-    return _.reduce(args, function(obj, arg) {
-      _.each(arg, function(value, key) {
-        if (obj[key] === undefined) {
-          obj[key] = value;
+  // already exists in obj. Unsafe keys are handled according to
+  // _.mergeSettings.
+  _.defaults = _.extender({ defaults: true });
+
+  // Like _.extend, but copies property descriptors, including getters,
+  // setters, non-enumerable and Symbol keys, for composing classes out of
+  // mixins. obj keeps its own constructor, prototype, name and length.
+  _.assignDescriptors = _.extender({ descriptors: true });
+
+  _.extendOwn = _.assignDescriptors;
+
+  // Determines whether value is an object created by an object literal,
+  // new Object or Object.create(null), as opposed to an array, a Date, a
+  // class instance and so on.
+  var isPlainObject = function(value) {
+    if (Object.prototype.toString.call(value) !== '[object Object]') {
+      return false;
+    }
+    var proto = Object.getPrototypeOf(value);
+    return proto === null || proto === Object.prototype;
+  };
+
+  // Recursively merges the own properties of source into target. path leads
+  // from the merged object down to target, and stack holds the sources being
+  // merged further up alongside their results. options.defaults keeps the
+  // values target has, except plain objects.
+  var baseMerge = function(target, source, options, path, stack) {
+    stack.sources.push(source);
+    stack.results.push(target);
+    eachKey(source, _.keys(source), function(value, key) {
+      if (!isSafeKey(key, path, options.unsafeKeys)) {
+        return;
+      }
+      var current = target[key];
+      if (options.defaults && current !== undefined &&
+        !(isPlainObject(current) && isPlainObject(value))) {
+        return;
+      }
+      target[key] = mergeValue(current, value, key, path.concat([key]),
+        options, stack);
+    });
+    stack.sources.pop();
+    stack.results.pop();
+    return target;
+  };
+
+  // Returns the result of merging sourceValue into targetValue: plain
+  // objects are merged, arrays combined by the array strategy and anything
+  // else replaces the target value. A source found in stack gives its result,
+  // so cycles are kept.
+  var mergeValue = function(targetValue, sourceValue, key, path, options,
+    stack) {
+    if (options.customizer) {
+      var customized = options.customizer(targetValue, sourceValue, key, path);
+      if (customized !== undefined) {
+        return customized;
+      }
+    }
+    for (var i = stack.sources.length - 1; i >= 0; i--) {
+      if (stack.sources[i] === sourceValue) {
+        return stack.results[i];
+      }
+    }
+    if (Array.isArray(sourceValue)) {
+      return mergeArrays(Array.isArray(targetValue) ? targetValue : [],
+        sourceValue, path, options, stack);
+    }
+    if (isPlainObject(sourceValue)) {
+      return baseMerge(isPlainObject(targetValue) ? targetValue : {},
+        sourceValue, options, path, stack);
+    }
+    return sourceValue;
+  };
+
+  // Combines two arrays according to options.arrays, which is one of
+  // 'replace', 'concat', 'union' or 'merge', or a function called with
+  // (target, source, path) that returns the combined array.
+  var mergeArrays = function(target, source, path, options, stack) {
+    var strategy = options.arrays;
+    if (typeof strategy === 'function') {
+      return strategy(target, source, path);
+    }
+    // Copies an element of source for use at index i of the result.
+    var copy = function(element, i) {
+      return mergeValue(undefined, element, i, path.concat([i]), options,
+        stack);
+    };
+    var results = strategy === 'replace' ? [] : target.slice();
+    var i;
+    stack.sources.push(source);
+    stack.results.push(results);
+    if (strategy === 'merge') {
+      for (i = 0; i < source.length; i++) {
+        results[i] = mergeValue(target[i], source[i], i, path.concat([i]),
+          options, stack);
+      }
+    } else if (strategy === 'union') {
+      var identify = _.iteratee(options.key);
+      var identities = _.map(results, identify);
+      for (i = 0; i < source.length; i++) {
+        var index = _.indexOf(identities, identify(source[i]));
+        if (index === -1) {
+          identities.push(identify(source[i]));
+          results.push(copy(source[i], results.length));
+        } else {
+          results[index] = mergeValue(results[index], source[i], index,
+            path.concat([index]), options, stack);
         }
-      });
+      }
+    } else {
+      for (i = 0; i < source.length; i++) {
+        results.push(copy(source[i], results.length));
+      }
+    }
+    stack.sources.pop();
+    stack.results.pop();
+    return results;
+  };
+
+  var arrayStrategies = ['replace', 'concat', 'union', 'merge'];
+
+  // Returns a merge function that follows the given options: arrays, key,
+  // customizer, defaults and unsafeKeys. The README describes each one. An
+  // unknown array strategy is reported with a TypeError right away.
+  _.merger = function(options) {
+    options = _.defaults({}, options, { arrays: 'replace' });
+    if (typeof options.arrays !== 'function' &&
+      _.indexOf(arrayStrategies, options.arrays) === -1) {
+      throw new TypeError('Unknown array merge strategy "' +
+        options.arrays + '"');
+    }
+    return function(obj) {
+      for (var i = 1; i < arguments.length; i++) {
+        baseMerge(obj, arguments[i], options, [],
+          { sources: [], results: [] });
+      }
       return obj;
-    }, obj);
+    };
+  };
+
+  // Like _.extend, but nested plain objects are merged recursively instead
+  // of being replaced, so merging { a: { b: 1 } } into { a: { c: 2 } }
+  // gives { a: { b: 1, c: 2 } }. Arrays are replaced; use _.merger for
+  // other array strategies or a customizer.
+  _.merge = _.merger();
+
+  // Like _.defaults, but nested plain objects are filled in recursively, so
+  // that a partially specified { network: { timeout: 5 } } keeps the rest
+  // of the network defaults. Values taken from the sources are copied, so
+  // changing the result never changes the defaults passed in.
+  _.defaultsDeep = _.merger({ defaults: true });
+
+  // Performs a deep comparison between two values, following circular
+  // references safely. A customizer called with (a, b) can decide any
+  // comparison by returning true or false.
+  _.isEqual = function(a, b, customizer) {
+    return eq(a, b, customizer, [], []);
+  };
+
+  var eq = function(a, b, customizer, aStack, bStack) {
+    if (customizer) {
+      var customized = customizer(a, b);
+      if (customized !== undefined) {
+        return !!customized;
+      }
+    }
+    if (a === b || (a !== a && b !== b)) {
+      return true;
+    }
+    if (a === null || b === null ||
+      typeof a !== 'object' || typeof b !== 'object') {
+      return false;
+    }
+    var className = Object.prototype.toString.call(a);
+    if (className !== Object.prototype.toString.call(b)) {
+      return false;
+    }
+    switch (className) {
+      case '[object RegExp]':
+      case '[object String]':
+        return String(a) === String(b);
+      case '[object Number]':
+      case '[object Date]':
+      case '[object Boolean]':
+        return +a === +b || (+a !== +a && +b !== +b);
+      case '[object Symbol]':
+        return a.valueOf() === b.valueOf();
+    }
+
+    // Objects seen further up in this comparison are being compared again
+    // through a circular reference, so they are equal if they were paired
+    // up the same way the first time.
+    for (var i = aStack.length - 1; i >= 0; i--) {
+      if (aStack[i] === a) {
+        return bStack[i] === b;
+      }
+    }
+    aStack.push(a);
+    bStack.push(b);
+    var result = deepEq(a, b, className, customizer, aStack, bStack);
+    aStack.pop();
+    bStack.pop();
+    return result;
+  };
+
+  // Compares the contents of two objects of the same class.
+  var deepEq = function(a, b, className, customizer, aStack, bStack) {
+    var equal = function(x, y) {
+      return eq(x, y, customizer, aStack, bStack);
+    };
+    var i;
+
+    if (className === '[object ArrayBuffer]' ||
+      className === '[object DataView]') {
+      a = new Uint8Array(a.buffer || a, a.byteOffset || 0, a.byteLength);
+      b = new Uint8Array(b.buffer || b, b.byteOffset || 0, b.byteLength);
+    }
+    if (Array.isArray(a) || ArrayBuffer.isView(a)) {
+      if (a.length !== b.length) {
+        return false;
+      }
+      for (i = 0; i < a.length; i++) {
+        if (!equal(a[i], b[i])) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    if (className === '[object Map]') {
+      return a.size === b.size && _.every(a, function(value, key) {
+        return b.has(key) && equal(value, b.get(key));
+      });
+    }
+    // Each element of b can only be paired with one element of a.
+    if (className === '[object Set]') {
+      if (a.size !== b.size) {
+        return false;
+      }
+      var unmatched = _.map(b, _.identity);
+      return _.every(a, function(value) {
+        // A customizer has to be asked about every pair, even identical ones.
+        var index = customizer ? -1 : _.indexOf(unmatched, value);
+        for (var j = 0; index === -1 && j < unmatched.length; j++) {
+          if (equal(value, unmatched[j])) {
+            index = j;
+          }
+        }
+        if (index === -1) {
+          return false;
+        }
+        unmatched.splice(index, 1);
+        return true;
+      });
+    }
+
+    // Objects made by different constructors aren't equivalent, unless
+    // both are plain objects.
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b) &&
+      !(isPlainObject(a) && isPlainObject(b))) {
+      return false;
+    }
+    var keys = _.keys(a);
+    if (keys.length !== _.keys(b).length) {
+      return false;
+    }
+    for (i = 0; i < keys.length; i++) {
+      if (!hasOwnProperty.call(b, keys[i]) || !equal(a[keys[i]], b[keys[i]])) {
+        return false;
+      }
+    }
+    return true;
   };
 
   // Returns a function that can be called at most one time.
@@ -191,20 +1025,209 @@
     };
   };
 
-  // Returns a function that, when called, will check if it has
-  // already computed the result for the given argument and return
-  // that value instead.
-  _.memoize = function(func) {
-    var memo = {};
-    return function() {
-      var args = Array.prototype.slice.call(arguments);
-      if (memo[args] !== undefined) {
-        return memo[args];
-      } else {
-        memo[args] = func.apply(this, args);
-        return memo[args];
+  // Returns a function that caches the result of func for each list of
+  // arguments, keyed by a hasher. Options (see the README) can bound the
+  // cache, which is exposed with the hasher as properties of the function.
+  _.memoize = function(func, options) {
+    if (typeof options === 'function') {
+      options = { hasher: options };
+    }
+    options = options || {};
+    var hasher = options.hasher || argumentsKey;
+    var memoized = function() {
+      var key = hasher.apply(this, arguments);
+      var cache = memoized.cache;
+      var entry = cache._find(key);
+      if (entry) {
+        cache.hits++;
+        return entry.value;
       }
+      cache.misses++;
+      var result = func.apply(this, arguments);
+      cache.set(key, result);
+      return result;
     };
+    memoized.cache = new MemoCache(options.maxSize, options.ttl);
+    memoized.hasher = hasher;
+    return memoized;
+  };
+
+  // The cache of a memoized function: a Map, ordered from least to most
+  // recently used, of keys to their results and the time those expire.
+  // Since every result lives for the same ttl, a second Map of the keys in
+  // the order they were set is also the order they expire in.
+  var MemoCache = function(maxSize, ttl) {
+    checkLimit('maxSize', maxSize);
+    checkLimit('ttl', ttl);
+    this._entries = new Map();
+    this._setOrder = new Map();
+    this._maxSize = maxSize === undefined ? Infinity : maxSize;
+    this._ttl = ttl === undefined ? Infinity : ttl;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  };
+
+  // Removes the results that have expired, oldest first.
+  MemoCache.prototype._sweep = function() {
+    var now = Date.now();
+    var keys = this._setOrder.keys();
+    for (var step = keys.next(); !step.done; step = keys.next()) {
+      if (this._entries.get(step.value).expires > now) {
+        return;
+      }
+      this.delete(step.value);
+      this.expirations++;
+    }
+  };
+
+  // Throws a TypeError unless a maxSize or ttl option is left out or is a
+  // number that isn't negative.
+  var checkLimit = function(name, limit) {
+    if (limit !== undefined && !(typeof limit === 'number' && limit >= 0)) {
+      throw new TypeError('memoize ' + name + ' must be a number that ' +
+        'isn\'t negative, not ' + limit);
+    }
+  };
+
+  // Determines whether there is a result for key that hasn't expired,
+  // removing it if it has.
+  MemoCache.prototype.has = function(key) {
+    var entry = this._entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      this.delete(key);
+      this.expirations++;
+      return false;
+    }
+    return !!entry;
+  };
+
+  // Returns the entry for key, marking it as the most recently used, or
+  // undefined if there is none. Expiry is only checked once, so the entry
+  // can't expire between finding it and reading it.
+  MemoCache.prototype._find = function(key) {
+    if (!this.has(key)) {
+      return undefined;
+    }
+    var entry = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry;
+  };
+
+  // Returns the result for key, marking it as the most recently used.
+  MemoCache.prototype.get = function(key) {
+    var entry = this._find(key);
+    return entry && entry.value;
+  };
+
+  // Stores the result for key, after removing every expired result and
+  // before evicting the least recently used ones past maxSize.
+  MemoCache.prototype.set = function(key, value) {
+    this._sweep();
+    this.delete(key);
+    this._entries.set(key, { value: value, expires: Date.now() + this._ttl });
+    this._setOrder.set(key, true);
+    while (this._entries.size > this._maxSize) {
+      this.delete(this._entries.keys().next().value);
+      this.evictions++;
+    }
+    return this;
+  };
+
+  MemoCache.prototype.delete = function(key) {
+    this._setOrder.delete(key);
+    return this._entries.delete(key);
+  };
+
+  MemoCache.prototype.clear = function() {
+    this._entries.clear();
+    this._setOrder.clear();
+  };
+
+  // The number of results that haven't expired.
+  Object.defineProperty(MemoCache.prototype, 'size', {
+    get: function() {
+      this._sweep();
+      return this._entries.size;
+    }
+  });
+
+  MemoCache.prototype.stats = function() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      expirations: this.expirations,
+      size: this.size
+    };
+  };
+
+  // Ids given to the objects and symbols memoized functions are called
+  // with, so that they can be part of a string key. The maps are only made
+  // when they are first needed, so that engines without WeakMap can still
+  // load the library.
+  var objectIds;
+  var symbolIds;
+  var lastId = 0;
+
+  // Returns the id of value in ids, giving it a new one if it has none.
+  var idOf = function(ids, value) {
+    if (!ids.has(value)) {
+      ids.set(value, ++lastId);
+    }
+    return ids.get(value);
+  };
+
+  // Symbols are held weakly where the engine accepts them as WeakMap keys.
+  // Elsewhere they have to be kept in a Map.
+  var createSymbolIds = function() {
+    var ids = new WeakMap();
+    try {
+      ids.set(Symbol(), 0);
+      return ids;
+    } catch (e) {
+      return new Map();
+    }
+  };
+
+  // The default memoize hasher. It turns the arguments into a string that
+  // is different for every list of arguments that isn't the same, value by
+  // value, as SameValueZero sees it.
+  var argumentsKey = function() {
+    var parts = [];
+    for (var i = 0; i < arguments.length; i++) {
+      parts.push(argumentKey(arguments[i]));
+    }
+    return parts.join(',');
+  };
+
+  var argumentKey = function(value) {
+    switch (typeof value) {
+      case 'string':
+        return JSON.stringify(value);
+      case 'number':
+        return 'n' + value;
+      case 'bigint':
+        return 'b' + value;
+      case 'boolean':
+      case 'undefined':
+        return String(value);
+      case 'symbol':
+        // Symbols from the global registry are the same for the same name,
+        // so they don't need an id.
+        if (Symbol.keyFor(value) !== undefined) {
+          return 'r' + JSON.stringify(Symbol.keyFor(value));
+        }
+        symbolIds = symbolIds || createSymbolIds();
+        return 's' + idOf(symbolIds, value);
+    }
+    if (value === null) {
+      return 'null';
+    }
+    objectIds = objectIds || new WeakMap();
+    return 'o' + idOf(objectIds, value);
   };
 
   // Delays a function for the given number of milliseconds,
@@ -242,25 +1265,120 @@
     });
   };
 
-  // Sorts the object's values by a criterion produced by an iterator.
-  // If iterator is a string, sort objects by that property named by
-  // that string.
-  _.sortBy = function(collection, iterator) {
-    var newIterator = function(item) {
-      return typeof iterator === 'string' ? item[iterator] : iterator(item);
+  // Returns a stably sorted copy of the collection's values, ordered by an
+  // iterator or a list of sort keys and by collation options. The README
+  // explains sort keys and options.
+  _.sortBy = function(collection, iterators, options) {
+    var keys = Array.isArray(iterators) ?
+      _.map(iterators, function(key) {
+        return toSortKey(key, 'asc', options);
+      }) :
+      [toSortKey(iterators, 'asc', options)];
+    // Compute each criterion once instead of on every comparison.
+    var records = _.map(collection, function(value, index, list) {
+      // undefined values get undefined criteria, so they sort with them.
+      return {
+        value: value,
+        criteria: value === undefined ? [] : _.map(keys, function(key) {
+          return key.iterator(value, index, list);
+        })
+      };
+    });
+    var sorted = mergeSort(records, function(a, b) {
+      return compareCriteria(keys, a.criteria, b.criteria);
+    });
+    return _.pluck(sorted, 'value');
+  };
+
+  // Like _.sortBy, but orders the values with a comparator function that
+  // returns a negative number, zero or a positive number, like the ones
+  // built by _.by.
+  _.sortWith = function(collection, comparator) {
+    return mergeSort(_.map(collection, _.identity), comparator);
+  };
+
+  // Builds a comparator for an iterator, direction and collation options,
+  // with thenBy() to break ties and reverse() to flip its order,
+  // e.g. _.by('lastName').thenBy('firstName').reverse().
+  _.by = function(iterator, direction, options) {
+    return createComparator([toSortKey(iterator, direction, options)]);
+  };
+
+  var createComparator = function(keys) {
+    var criteria = function(value) {
+      return _.map(keys, function(key) {
+        return key.iterator(value);
+      });
     };
-    for (var i = collection.length; i > 0; i--) {
-      for (var j = 1; j < i; j++) {
-        // undefined items should be moved towards the end of the list
-        if (collection[j - 1] === undefined ||
-          newIterator(collection[j - 1]) > newIterator(collection[j])) {
-          var temp = collection[j - 1];
-          collection[j - 1] = collection[j];
-          collection[j] = temp;
-        }
+    var comparator = function(a, b) {
+      return compareCriteria(keys, criteria(a), criteria(b));
+    };
+    comparator.thenBy = function(iterator, direction, options) {
+      return createComparator(keys.concat([
+        toSortKey(iterator, direction, options)
+      ]));
+    };
+    comparator.reverse = function() {
+      return createComparator(_.map(keys, function(key) {
+        return _.extend({}, key, { direction: -key.direction });
+      }));
+    };
+    return comparator;
+  };
+
+  // Turns a sort key into an iterator, a direction (1 for ascending or -1
+  // for descending) and a function comparing criteria with the collation
+  // options. The key can be an [iterator, direction] pair, which overrides
+  // the direction passed in.
+  var toSortKey = function(key, direction, options) {
+    if (Array.isArray(key) && key.length === 2 &&
+      (key[1] === 'asc' || key[1] === 'desc')) {
+      direction = key[1];
+      key = key[0];
+    }
+    return {
+      iterator: _.iteratee(key),
+      direction: direction === 'desc' ? -1 : 1,
+      compare: _.collator(options)
+    };
+  };
+
+  // Compares two lists of criteria computed for the given sort keys, key by
+  // key, until one of them tells the values apart. Empty criteria keep
+  // their place at the start or end whatever the direction of the key.
+  var compareCriteria = function(keys, a, b) {
+    for (var i = 0; i < keys.length; i++) {
+      var order = keys[i].compare(a[i], b[i]);
+      if (!emptyRank(a[i]) && !emptyRank(b[i])) {
+        order *= keys[i].direction;
+      }
+      if (order) {
+        return order;
       }
     }
-    return collection;
+    return 0;
+  };
+
+  // Sorts a copy of array with a stable merge sort, which takes
+  // O(n log n) time and never reorders elements that compare as equal.
+  var mergeSort = function(array, compare) {
+    if (array.length < 2) {
+      return array.slice();
+    }
+    var middle = Math.floor(array.length / 2);
+    var left = mergeSort(array.slice(0, middle), compare);
+    var right = mergeSort(array.slice(middle), compare);
+    var results = [];
+    var i = 0;
+    var j = 0;
+    while (i < left.length && j < right.length) {
+      if (compare(right[j], left[i]) < 0) {
+        results.push(right[j++]);
+      } else {
+        results.push(left[i++]);
+      }
+    }
+    return results.concat(left.slice(i), right.slice(j));
   };
 
   // Zips together two or more arrays, placing elements of the same index
@@ -300,40 +1418,144 @@
     return unNest(nestedArray);
   };
 
+  // Splits the arguments of a *By or *With function into the arrays and the
+  // iterator or comparator passed in last. The last argument is always
+  // taken as the iterator, so that it can be a deep path array.
+  var splitArrays = function(args) {
+    var arrays = Array.prototype.slice.call(args);
+    return {
+      arrays: arrays.slice(0, -1),
+      last: arrays[arrays.length - 1]
+    };
+  };
+
   // Takes an arbitrary number of arrays and produces an array that contains
-  // every item shared between all the passed-in arrays.
+  // every item shared between all the passed-in arrays, in the order of the
+  // first array and without duplicates.
   _.intersection = function() {
-    var args = Array.prototype.slice.call(arguments);
-    var results = [];
-    var shortestArg = args.sort(function(a, b) {
-      return a.length - b.length;
-    })[0];
-    for (var i = 0; i < shortestArg.length; i++) {
-      var allContain = true;
-      for (var j = 0; j < args.length; j++) {
-        if (!_.contains(args[j], shortestArg[i])) {
-          allContain = false;
-        }
-      }
-      if (allContain) {
-        results.push(shortestArg[i]);
-      }
-    }
-    return results;
+    return baseIntersection(Array.prototype.slice.call(arguments), _.identity,
+      sameValueZero);
+  };
+
+  // Like _.intersection, but items are matched by the value the iterator
+  // passed in last returns for them.
+  _.intersectionBy = function() {
+    var split = splitArrays(arguments);
+    return baseIntersection(split.arrays, _.iteratee(split.last),
+      sameValueZero);
+  };
+
+  // Like _.intersection, but items are matched when the comparator passed
+  // in last returns true for them.
+  _.intersectionWith = function() {
+    var split = splitArrays(arguments);
+    return baseIntersection(split.arrays, _.identity,
+      split.last || sameValueZero);
+  };
+
+  var baseIntersection = function(arrays, iterator, comparator) {
+    var others = _.map(arrays.slice(1), function(array) {
+      return lookupOf(array, iterator, comparator);
+    });
+    return _.filter(baseUniq(arrays[0], iterator, comparator), function(item) {
+      var computed = iterator(item);
+      return _.every(others, function(lookup) {
+        return lookup.has(computed);
+      });
+    });
   };
 
   // Takes the difference between one array and a number of other arrays.
   // Only the elements present in only the first array will remain.
   _.difference = function(array) {
-    var args = Array.prototype.slice.call(arguments);
-    var firstArg = args.shift();
-    var remaining = _.flatten(args);
+    var others = Array.prototype.slice.call(arguments, 1);
+    return baseDifference(array, others, _.identity, sameValueZero);
+  };
+
+  // Like _.difference, but elements are matched by the value the iterator
+  // passed in last returns for them.
+  _.differenceBy = function(array) {
+    var split = splitArrays(Array.prototype.slice.call(arguments, 1));
+    return baseDifference(array, split.arrays, _.iteratee(split.last),
+      sameValueZero);
+  };
+
+  // Like _.difference, but elements are matched when the comparator passed
+  // in last returns true for them.
+  _.differenceWith = function(array) {
+    var split = splitArrays(Array.prototype.slice.call(arguments, 1));
+    return baseDifference(array, split.arrays, _.identity,
+      split.last || sameValueZero);
+  };
+
+  var baseDifference = function(array, others, iterator, comparator) {
+    var excluded = lookupOf(Array.prototype.concat.apply([], others),
+      iterator, comparator);
+    return _.reject(array, function(element) {
+      return excluded.has(iterator(element));
+    });
+  };
+
+  // Takes an arbitrary number of arrays and produces an array of the unique
+  // items found in any of them, in the order they first appear.
+  _.union = function() {
+    return baseUniq(Array.prototype.concat.apply([], arguments), _.identity,
+      sameValueZero);
+  };
+
+  // Like _.union, but items are matched by the value the iterator passed in
+  // last returns for them.
+  _.unionBy = function() {
+    var split = splitArrays(arguments);
+    return baseUniq(Array.prototype.concat.apply([], split.arrays),
+      _.iteratee(split.last), sameValueZero);
+  };
+
+  // Like _.union, but items are matched when the comparator passed in last
+  // returns true for them.
+  _.unionWith = function() {
+    var split = splitArrays(arguments);
+    return baseUniq(Array.prototype.concat.apply([], split.arrays),
+      _.identity, split.last || sameValueZero);
+  };
+
+  // Takes an arbitrary number of arrays and produces an array of the unique
+  // items found in exactly one of them, their symmetric difference.
+  _.xor = function() {
+    return baseXor(Array.prototype.slice.call(arguments), _.identity,
+      sameValueZero);
+  };
+
+  // Like _.xor, but items are matched by the value the iterator passed in
+  // last returns for them.
+  _.xorBy = function() {
+    var split = splitArrays(arguments);
+    return baseXor(split.arrays, _.iteratee(split.last), sameValueZero);
+  };
+
+  // Like _.xor, but items are matched when the comparator passed in last
+  // returns true for them.
+  _.xorWith = function() {
+    var split = splitArrays(arguments);
+    return baseXor(split.arrays, _.identity, split.last || sameValueZero);
+  };
+
+  var baseXor = function(arrays, iterator, comparator) {
+    var lookups = _.map(arrays, function(array) {
+      return lookupOf(array, iterator, comparator);
+    });
     var results = [];
-    for (var i = 0; i < firstArg.length; i++) {
-      if (!_.contains(remaining, firstArg[i])) {
-        results.push(firstArg[i]);
-      }
-    }
+    _.each(arrays, function(array, i) {
+      _.each(baseUniq(array, iterator, comparator), function(item) {
+        var computed = iterator(item);
+        var elsewhere = _.some(lookups, function(lookup, j) {
+          return j !== i && lookup.has(computed);
+        });
+        if (!elsewhere) {
+          results.push(item);
+        }
+      });
+    });
     return results;
   };
 
@@ -352,4 +1574,193 @@
     };
   };
 
-}());
+  // Wraps a collection in a lazy sequence: filter, reject, map, pluck and
+  // take are only recorded, then run element by element in one pass when a
+  // terminal operation like value or first needs the result.
+  _.lazy = function(collection) {
+    return new LazySequence(collection, []);
+  };
+
+  var LazySequence = function(source, steps) {
+    this._source = source;
+    this._steps = steps;
+  };
+
+  // Returns a new sequence with one more step, so that a partially built
+  // sequence can be reused without being affected.
+  LazySequence.prototype._then = function(step) {
+    return new LazySequence(this._source, this._steps.concat([step]));
+  };
+
+  // Pushes the elements of the source through the steps one at a time and
+  // calls callback(value) for each one that comes out the other end.
+  // Iteration stops when the callback returns _.breaker, or when a take step
+  // has let through as many elements as it allows.
+  LazySequence.prototype._run = function(callback) {
+    var steps = this._steps;
+    var counts = [];
+    for (var i = 0; i < steps.length; i++) {
+      if (steps[i].type === 'take' && !(steps[i].n > 0)) {
+        return;
+      }
+      counts.push(0);
+    }
+
+    _.each(this._source, function(element) {
+      var value = element;
+      var exhausted = false;
+      for (var i = 0; i < steps.length; i++) {
+        var step = steps[i];
+        if (step.type === 'map') {
+          value = step.iterator(value);
+        } else if (step.type === 'filter') {
+          if (!step.iterator(value)) {
+            return exhausted ? _.breaker : undefined;
+          }
+        } else if (++counts[i] >= step.n) {
+          exhausted = true;
+        }
+      }
+      if (callback(value) === _.breaker || exhausted) {
+        return _.breaker;
+      }
+    });
+  };
+
+  LazySequence.prototype.filter = function(test) {
+    return this._then({ type: 'filter', iterator: _.iteratee(test) });
+  };
+
+  LazySequence.prototype.reject = function(test) {
+    test = _.iteratee(test);
+    return this.filter(function(value) {
+      return !test(value);
+    });
+  };
+
+  LazySequence.prototype.map = function(iterator) {
+    return this._then({ type: 'map', iterator: _.iteratee(iterator) });
+  };
+
+  LazySequence.prototype.pluck = function(key) {
+    return this.map(_.property(key));
+  };
+
+  // Limits the sequence to its first n elements. Like slice, a fractional n
+  // is rounded down.
+  LazySequence.prototype.take = function(n) {
+    return this._then({ type: 'take', n: Math.floor(n) });
+  };
+
+  // Like _.first: without n, evaluates and returns only the first element of
+  // the sequence; with n, limits the sequence to its first n elements.
+  LazySequence.prototype.first = function(n) {
+    if (n !== undefined) {
+      return this.take(n);
+    }
+    var result;
+    this._run(function(value) {
+      result = value;
+      return _.breaker;
+    });
+    return result;
+  };
+
+  // Evaluates the sequence and returns the results in an array.
+  LazySequence.prototype.value = function() {
+    var results = [];
+    this._run(function(value) {
+      results.push(value);
+    });
+    return results;
+  };
+
+  LazySequence.prototype.reduce = function(iterator, accumulator) {
+    var initializing = arguments.length < 2;
+    this._run(function(value) {
+      if (initializing) {
+        accumulator = value;
+        initializing = false;
+      } else {
+        accumulator = iterator(accumulator, value);
+      }
+    });
+    return accumulator;
+  };
+
+  LazySequence.prototype.every = function(iterator) {
+    iterator = _.iteratee(iterator);
+    var result = true;
+    this._run(function(value) {
+      if (!iterator(value)) {
+        result = false;
+        return _.breaker;
+      }
+    });
+    return result;
+  };
+
+  LazySequence.prototype.some = function(iterator) {
+    iterator = _.iteratee(iterator);
+    return !this.every(function(value) {
+      return !iterator(value);
+    });
+  };
+
+  // Like _.contains, finds NaN as well.
+  LazySequence.prototype.contains = function(target) {
+    return this.some(function(value) {
+      return sameValueZero(value, target);
+    });
+  };
+
+  // Evaluates the sequence and wraps the results for eager chaining.
+  LazySequence.prototype.chain = function() {
+    return _(this.value());
+  };
+
+  // Returns a wrapped object whose methods can be chained. The same as
+  // calling _(obj); use value() at the end of the chain to unwrap the result.
+  _.chain = function(obj) {
+    return _(obj);
+  };
+
+  // Adds each function of the passed in object to the library, and as a
+  // method of wrapped objects that passes the wrapped value as the first
+  // argument and wraps the result so the chain can continue.
+  _.mixin = function(obj) {
+    _.each(obj, function(func, name) {
+      if (typeof func !== 'function') {
+        return;
+      }
+      _[name] = func;
+      _.prototype[name] = function() {
+        var args = [this._wrapped];
+        Array.prototype.push.apply(args, arguments);
+        return _(func.apply(_, args));
+      };
+    });
+    return _;
+  };
+
+  _.mixin(_);
+
+  // A wrapped object is already chainable, so chain() just returns it.
+  _.prototype.chain = function() {
+    return this;
+  };
+
+  // Extracts the result from a wrapped and chained object.
+  _.prototype.value = function() {
+    return this._wrapped;
+  };
+
+  _.prototype.valueOf = _.prototype.toJSON = _.prototype.value;
+
+  // Switches a chain over to a lazy sequence of the wrapped value.
+  _.prototype.lazy = function() {
+    return _.lazy(this._wrapped);
+  };
+
+  return _;
+}));